@@ -0,0 +1,134 @@
+const path = require('path');
+const express = require('express');
+const { readJson } = require('./jsonStore');
+
+// CapCut accounts: each has its own Chrome profile (login session) and its own group of editors
+const ACCOUNTS_PATH = path.join(__dirname, 'accounts.json');
+
+// Profiles of accounts that don't set profileDir go to profiles/<accountId>/
+const PROFILES_DIR = path.join(__dirname, 'profiles');
+
+// Used when accounts.json does not exist: the single account the automation had before accounts existed
+const DEFAULT_ACCOUNTS = {
+    default: 'main',
+    accounts: [{ id: 'main', name: 'Main account', profileDir: 'puppeteer_data' }]
+};
+
+// Create router for account API routes
+const router = express.Router();
+
+/**
+ * Read the account file and check it
+ * @returns {Object} { default, accounts }
+ */
+function readAccounts() {
+    const data = readJson(ACCOUNTS_PATH, DEFAULT_ACCOUNTS);
+    const accounts = Array.isArray(data.accounts) ? data.accounts : [];
+    if (accounts.length === 0) {
+        throw new Error('accounts.json lists no accounts');
+    }
+
+    const ids = new Set();
+    for (const account of accounts) {
+        // Account IDs end up in folder names and browser status, so keep them simple
+        if (!/^[\w-]+$/.test(String(account.id))) {
+            throw new Error(`Invalid account ID in accounts.json: "${account.id}" (letters, digits, dashes and underscores only)`);
+        }
+        if (ids.has(account.id)) {
+            throw new Error(`Duplicate account ID in accounts.json: "${account.id}"`);
+        }
+        ids.add(account.id);
+    }
+
+    // Two Chromes can't share a profile, so neither can two accounts
+    const profileDirs = accounts.map(getProfileDir);
+    const shared = profileDirs.find((dir, index) => profileDirs.indexOf(dir) !== index);
+    if (shared) {
+        throw new Error(`Two accounts in accounts.json use the same profile directory: ${shared}`);
+    }
+
+    return {
+        default: ids.has(data.default) ? data.default : accounts[0].id,
+        accounts
+    };
+}
+
+/**
+ * Get an account by ID
+ * @param {string} id - Account ID
+ * @returns {Object|null} Account object, or null if there is no such account
+ */
+function getAccount(id) {
+    return readAccounts().accounts.find(account => account.id === id) || null;
+}
+
+/**
+ * Get the account an editor belongs to. Editors without an "account" field belong to the default account.
+ * @param {Object} editor - Editor object from editors.json
+ * @returns {string} Account ID
+ */
+function getEditorAccountId(editor) {
+    return editor.account || readAccounts().default;
+}
+
+/**
+ * Get the Chrome profile directory of an account
+ * @param {Object} account - Account object from accounts.json
+ * @returns {string} Absolute path (profileDir is relative to the project folder)
+ */
+function getProfileDir(account) {
+    return path.resolve(__dirname, account.profileDir || path.join(PROFILES_DIR, account.id));
+}
+
+// ==================== API ROUTES ====================
+
+// List the accounts with their session, editors and browser
+router.get('/accounts', (req, res) => {
+    const { readEditors } = require('./editors');
+    const { getBrowserStatus } = require('./browserManager');
+    const { getSessionStatus } = require('./sessionCookies');
+
+    try {
+        const data = readAccounts();
+        const editors = readEditors();
+        const browsers = getBrowserStatus();
+
+        res.json({
+            success: true,
+            default: data.default,
+            accounts: data.accounts.map(account => {
+                const own = editors.filter(editor => getEditorAccountId(editor) === account.id);
+                const session = getSessionStatus(account);
+                return {
+                    id: account.id,
+                    name: account.name || account.id,
+                    maxConcurrentJobs: account.maxConcurrentJobs || null,
+                    loggedIn: session.valid,
+                    session,
+                    editors: {
+                        total: own.length,
+                        available: own.filter(editor => editor.status === 'available').length,
+                        inUse: own.filter(editor => editor.status === 'in-use').length
+                    },
+                    browser: browsers.find(browser => browser.account === account.id) || null
+                };
+            })
+        });
+    } catch (error) {
+        console.error('❌ Error reading accounts:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            accounts: []
+        });
+    }
+});
+
+module.exports = {
+    readAccounts,
+    getAccount,
+    getEditorAccountId,
+    getProfileDir,
+    // Express router for /api/accounts routes
+    router
+};
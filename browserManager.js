@@ -0,0 +1,450 @@
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer-core');
+const { broadcastProgress } = require('./jobQueue');
+const { VIEWPORT, getBrowserLaunchOptions } = require('./browserMode');
+const { readAccounts, getAccount, getProfileDir } = require('./accounts');
+
+// Try multiple common Chrome paths
+const POSSIBLE_CHROME_PATHS = [
+    '/usr/bin/google-chrome', // Standard Linux path
+    'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe', // Standard Windows path
+    'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe', // 32-bit Windows path
+    process.env.CHROME_PATH, // Allow override via environment variable
+    null // Let Puppeteer find Chrome automatically
+];
+
+// Find the first valid Chrome path
+const BROWSER_EXECUTABLE_PATH = POSSIBLE_CHROME_PATHS.find(chromePath => {
+    if (!chromePath) return false;
+    try {
+        return fs.existsSync(chromePath);
+    } catch {
+        return false;
+    }
+}) || null; // Use null to let Puppeteer auto-detect
+const DOWNLOADS_DIR = path.join(__dirname, 'downloads');
+
+// Restart Chrome after this many jobs have used it (0 disables)
+const recycleAfterJobs = parseInt(process.env.BROWSER_RECYCLE_AFTER_JOBS, 10);
+const RECYCLE_AFTER_JOBS = Number.isNaN(recycleAfterJobs) ? 20 : Math.max(0, recycleAfterJobs);
+
+// Restart Chrome once it uses more memory than this, in MB (0 disables)
+const recycleMemoryMB = parseInt(process.env.BROWSER_RECYCLE_MEMORY_MB, 10);
+const RECYCLE_MEMORY_MB = Number.isNaN(recycleMemoryMB) ? 2048 : Math.max(0, recycleMemoryMB);
+
+// How often to look for tabs that no job owns
+const STRAY_PAGE_CHECK_INTERVAL = 60 * 1000;
+
+// One browser per account, each on its own profile: accountId -> instance (see getInstance)
+const instances = new Map();
+
+// Pages handed out by acquirePage: page -> { owner, account, openedAt }
+const ownedPages = new Map();
+
+let strayPageTimer = null;
+
+if (!fs.existsSync(DOWNLOADS_DIR)) {
+    fs.mkdirSync(DOWNLOADS_DIR, { recursive: true });
+}
+
+/**
+ * Get the browser state of an account, creating it on first use
+ * @param {string} accountId - Account ID from accounts.json
+ * @returns {Object} { account, browser, launch, launchedAt, jobsSinceLaunch, lastMemoryMB, pendingRestart, restartWaiters }
+ */
+function getInstance(accountId) {
+    if (!instances.has(accountId)) {
+        instances.set(accountId, {
+            account: accountId,
+            browser: null,
+            // Pending launch, shared so parallel jobs don't start two browsers on the same profile
+            launch: null,
+            launchedAt: null,
+            jobsSinceLaunch: 0,
+            lastMemoryMB: null,
+            // Why the browser restarts once its running jobs release their pages, and the callers waiting for it
+            pendingRestart: null,
+            restartWaiters: []
+        });
+    }
+    return instances.get(accountId);
+}
+
+/**
+ * Count the tabs jobs hold in an account's browser
+ * @param {Object} instance - Browser state from getInstance
+ * @returns {number} Number of owned tabs
+ */
+function countOwnedPages(instance) {
+    return [...ownedPages.values()].filter(entry => entry.account === instance.account).length;
+}
+
+/**
+ * Launch Chrome on an account's profile with the configured browser mode and let it save downloads to the downloads folder
+ * @param {Object} instance - Browser state from getInstance
+ * @returns {Promise<Browser>} Connected Puppeteer browser
+ */
+async function launchBrowser(instance) {
+    const account = getAccount(instance.account);
+    if (!account) {
+        throw new Error(`Unknown account "${instance.account}" (not in accounts.json)`);
+    }
+    broadcastProgress(`🌐 Launching browser for account "${account.id}"...`);
+
+    // Debug Chrome path detection
+    console.log('🔍 Chrome path detection:');
+    console.log(`   Found Chrome at: ${BROWSER_EXECUTABLE_PATH || 'Auto-detect mode'}`);
+
+    // Headful, headless or on a virtual display (BROWSER_MODE), always with the same viewport
+    const { mode, options } = await getBrowserLaunchOptions();
+    console.log(`   Browser mode: ${mode} (${VIEWPORT.width}x${VIEWPORT.height} viewport)`);
+
+    const launchOptions = {
+        ...options,
+        // The account's login session lives in its profile
+        userDataDir: getProfileDir(account),
+        args: [
+            ...options.args,
+            '--disable-blink-features=AutomationControlled',
+            '--no-sandbox' // Required for running as root on Linux
+        ],
+        protocolTimeout: 1200000 // 20 minutes timeout for long video processing
+    };
+
+    // Only set executablePath if we found a valid Chrome path
+    if (BROWSER_EXECUTABLE_PATH) {
+        launchOptions.executablePath = BROWSER_EXECUTABLE_PATH;
+    }
+
+    const launched = await puppeteer.launch(launchOptions);
+
+    // Exported videos are saved straight into the downloads folder
+    const client = await launched.target().createCDPSession();
+    await client.send('Browser.setDownloadBehavior', {
+        behavior: 'allow',
+        downloadPath: DOWNLOADS_DIR,
+        eventsEnabled: true
+    });
+
+    // A crashed or killed Chrome is relaunched on the next acquirePage
+    launched.on('disconnected', () => {
+        if (instance.browser === launched) {
+            console.error(`💥 Browser of account "${instance.account}" disconnected; it will be relaunched for the next job`);
+            instance.browser = null;
+            for (const [page, entry] of ownedPages) {
+                if (entry.account === instance.account) ownedPages.delete(page);
+            }
+            releaseRestartWaiters(instance);
+        }
+    });
+
+    instance.browser = launched;
+    instance.launchedAt = new Date().toISOString();
+    instance.jobsSinceLaunch = 0;
+    instance.lastMemoryMB = null;
+
+    if (!strayPageTimer) {
+        strayPageTimer = setInterval(() => closeStrayPages().catch(error => {
+            console.log('⚠️ Could not check for stray tabs:', error.message);
+        }), STRAY_PAGE_CHECK_INTERVAL);
+        strayPageTimer.unref();
+    }
+    return launched;
+}
+
+/**
+ * Get an account's browser, launching it if needed
+ * @param {Object} instance - Browser state from getInstance
+ * @returns {Promise<Browser>} Connected Puppeteer browser
+ */
+async function getBrowser(instance) {
+    if (instance.browser && instance.browser.isConnected()) {
+        return instance.browser;
+    }
+
+    if (!instance.launch) {
+        instance.launch = launchBrowser(instance).finally(() => {
+            instance.launch = null;
+        });
+    }
+    return instance.launch;
+}
+
+/**
+ * Open a tab for a job in its account's browser. Waits first if that browser is due for a restart and other jobs are still running.
+ * @param {string} owner - Who uses the tab (job ID or a label such as "health:<editorId>")
+ * @param {string} accountId - Account whose browser to use (the default account when omitted)
+ * @returns {Promise<Page>} New page with the fixed viewport
+ */
+async function acquirePage(owner, accountId = readAccounts().default) {
+    const instance = getInstance(accountId);
+    if (instance.pendingRestart) {
+        broadcastProgress(`⏳ Waiting for running jobs to finish before the browser of account "${accountId}" restarts (${instance.pendingRestart})...`);
+        await new Promise(resolve => instance.restartWaiters.push(resolve));
+    }
+
+    if (instance.browser && instance.browser.isConnected()) {
+        broadcastProgress(`♻️ Reusing the browser of account "${accountId}"`);
+    }
+    const browser = await getBrowser(instance);
+
+    const page = await browser.newPage();
+    ownedPages.set(page, { owner, account: accountId, openedAt: new Date().toISOString() });
+
+    // A crashed renderer never answers again; close the tab so the job fails now instead of at its step timeout
+    page.on('error', (error) => {
+        console.error(`💥 Tab of ${owner} crashed: ${error.message}`);
+        page.close().catch(() => {});
+    });
+
+    await page.setViewport(VIEWPORT);
+    return page;
+}
+
+/**
+ * Close a job's tab and restart its browser if it is due and no other job is using it
+ * @param {Page} page - Page from acquirePage
+ */
+async function releasePage(page) {
+    const entry = ownedPages.get(page);
+    ownedPages.delete(page);
+    const instance = entry ? getInstance(entry.account) : null;
+    if (instance) {
+        instance.jobsSinceLaunch++;
+    }
+
+    if (page && !page.isClosed()) {
+        await page.close().catch(error => console.log('⚠️ Could not close tab:', error.message));
+    }
+
+    if (instance) {
+        await recycleIfDue(instance);
+    }
+}
+
+/**
+ * Measure the memory used by an account's Chrome
+ * @param {Object} instance - Browser state from getInstance
+ * @returns {Promise<number|null>} Memory in MB, or null if it cannot be measured
+ */
+async function getBrowserMemoryMB(instance) {
+    const { browser } = instance;
+    if (!browser || !browser.isConnected()) {
+        return null;
+    }
+
+    const chromeProcess = browser.process();
+    if (process.platform === 'linux' && chromeProcess) {
+        return getProcessTreeRssMB(chromeProcess.pid);
+    }
+
+    // Elsewhere, the JavaScript heaps of the open tabs are the part that grows
+    let heapBytes = 0;
+    for (const page of await browser.pages()) {
+        try {
+            heapBytes += (await page.metrics()).JSHeapTotalSize || 0;
+        } catch (error) {
+            // The tab closed while it was measured
+        }
+    }
+    return Math.round(heapBytes / (1024 * 1024));
+}
+
+/**
+ * Sum the resident memory of a process and all of its descendants (Chrome runs a process per tab)
+ * @param {number} rootPid - Process ID of the Chrome main process
+ * @returns {number} Memory in MB
+ */
+function getProcessTreeRssMB(rootPid) {
+    const childrenOf = new Map();
+    for (const entry of fs.readdirSync('/proc')) {
+        if (!/^\d+$/.test(entry)) continue;
+        try {
+            const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+            // Fields after the command name: state, ppid, ...
+            const ppid = parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1], 10);
+            if (!childrenOf.has(ppid)) childrenOf.set(ppid, []);
+            childrenOf.get(ppid).push(parseInt(entry, 10));
+        } catch (error) {
+            // The process exited while it was listed
+        }
+    }
+
+    let rssKb = 0;
+    const queue = [rootPid];
+    while (queue.length > 0) {
+        const pid = queue.shift();
+        try {
+            const match = /VmRSS:\s+(\d+) kB/.exec(fs.readFileSync(`/proc/${pid}/status`, 'utf8'));
+            if (match) rssKb += parseInt(match[1], 10);
+        } catch (error) {
+            // The process exited while it was measured
+        }
+        queue.push(...(childrenOf.get(pid) || []));
+    }
+    return Math.round(rssKb / 1024);
+}
+
+/**
+ * Let jobs waiting for a browser restart continue; the next acquirePage launches a fresh browser
+ * @param {Object} instance - Browser state from getInstance
+ */
+function releaseRestartWaiters(instance) {
+    instance.pendingRestart = null;
+    const waiters = instance.restartWaiters;
+    instance.restartWaiters = [];
+    waiters.forEach(resolve => resolve());
+}
+
+/**
+ * Restart an account's browser when it has run too many jobs or uses too much memory.
+ * Only happens between jobs: while its tabs are in use the restart is deferred and new jobs wait for it.
+ * @param {Object} instance - Browser state from getInstance
+ */
+async function recycleIfDue(instance) {
+    if (!instance.browser) {
+        releaseRestartWaiters(instance);
+        return;
+    }
+
+    let reason = instance.pendingRestart;
+    if (!reason) {
+        instance.lastMemoryMB = await getBrowserMemoryMB(instance);
+        if (RECYCLE_AFTER_JOBS > 0 && instance.jobsSinceLaunch >= RECYCLE_AFTER_JOBS) {
+            reason = `${instance.jobsSinceLaunch} jobs since launch`;
+        } else if (RECYCLE_MEMORY_MB > 0 && instance.lastMemoryMB !== null && instance.lastMemoryMB > RECYCLE_MEMORY_MB) {
+            reason = `using ${instance.lastMemoryMB} MB`;
+        }
+    }
+    if (!reason) {
+        return;
+    }
+
+    const running = countOwnedPages(instance);
+    if (running > 0) {
+        if (!instance.pendingRestart) {
+            console.log(`🔄 Browser restart of account "${instance.account}" due (${reason}); waiting for ${running} running job(s)`);
+        }
+        instance.pendingRestart = reason;
+        return;
+    }
+
+    console.log(`🔄 Restarting the browser of account "${instance.account}" (${reason})...`);
+    const old = instance.browser;
+    instance.browser = null;
+    await old.close().catch(error => console.log('⚠️ Could not close browser:', error.message));
+    releaseRestartWaiters(instance);
+}
+
+/**
+ * Read the cookies of an account's browser (every domain; the browser keeps them in the account's profile)
+ * @param {string} accountId - Account ID
+ * @param {Object} options - { launch: start the browser if it is not running (default false) }
+ * @returns {Promise<Array<Object>|null>} CDP cookies, or null if the browser is not running and launch is false
+ */
+async function getBrowserCookies(accountId, { launch = false } = {}) {
+    const instance = getInstance(accountId);
+    if (!launch && !(instance.browser && instance.browser.isConnected())) {
+        return null;
+    }
+
+    const browser = await getBrowser(instance);
+    const client = await browser.target().createCDPSession();
+    try {
+        const { cookies } = await client.send('Storage.getCookies');
+        return cookies;
+    } finally {
+        await client.detach().catch(() => {});
+    }
+}
+
+/**
+ * Add cookies to an account's browser, launching it if needed. Chrome saves them in the account's profile.
+ * @param {string} accountId - Account ID
+ * @param {Array<Object>} cookies - CDP cookie params ({ name, value, domain or url, path, expires, ... })
+ */
+async function setBrowserCookies(accountId, cookies) {
+    const browser = await getBrowser(getInstance(accountId));
+    const client = await browser.target().createCDPSession();
+    try {
+        await client.send('Storage.setCookies', { cookies });
+    } finally {
+        await client.detach().catch(() => {});
+    }
+}
+
+/**
+ * Close tabs that no job owns, e.g. left behind by a job that crashed. Blank tabs and popups opened by a job's tab are kept.
+ * @returns {Promise<number>} Number of tabs closed, across every account's browser
+ */
+async function closeStrayPages() {
+    const ownedTargets = new Set([...ownedPages.keys()].map(page => page.target()));
+    let closed = 0;
+    for (const { browser } of instances.values()) {
+        if (!browser || !browser.isConnected()) continue;
+
+        for (const page of await browser.pages()) {
+            if (ownedPages.has(page) || page.url() === 'about:blank') continue;
+            const opener = page.target().opener();
+            if (opener && ownedTargets.has(opener)) continue;
+
+            console.log(`🧹 Closing stray tab: ${page.url()}`);
+            await page.close().catch(() => {});
+            closed++;
+        }
+    }
+    return closed;
+}
+
+/**
+ * Close every account's browser (used by command-line tools before they exit)
+ */
+async function closeBrowsers() {
+    if (strayPageTimer) {
+        clearInterval(strayPageTimer);
+        strayPageTimer = null;
+    }
+    ownedPages.clear();
+    for (const instance of instances.values()) {
+        const old = instance.browser;
+        instance.browser = null;
+        if (old) {
+            await old.close().catch(() => {});
+        }
+    }
+}
+
+/**
+ * Describe each account's browser for the /status endpoint
+ * @returns {Array<Object>} [{ account, running, launchedAt, jobsSinceLaunch, memoryMB, recycleAfterJobs, recycleMemoryMB, pendingRestart, tabs }]
+ */
+function getBrowserStatus() {
+    return readAccounts().accounts.map(({ id }) => {
+        const instance = getInstance(id);
+        return {
+            account: id,
+            running: Boolean(instance.browser && instance.browser.isConnected()),
+            launchedAt: instance.launchedAt,
+            jobsSinceLaunch: instance.jobsSinceLaunch,
+            memoryMB: instance.lastMemoryMB,
+            recycleAfterJobs: RECYCLE_AFTER_JOBS,
+            recycleMemoryMB: RECYCLE_MEMORY_MB,
+            pendingRestart: instance.pendingRestart,
+            tabs: [...ownedPages.entries()]
+                .filter(([, entry]) => entry.account === id)
+                .map(([page, entry]) => ({ owner: entry.owner, openedAt: entry.openedAt, url: page.isClosed() ? null : page.url() }))
+        };
+    });
+}
+
+module.exports = {
+    DOWNLOADS_DIR,
+    acquirePage,
+    releasePage,
+    closeStrayPages,
+    closeBrowsers,
+    getBrowserCookies,
+    setBrowserCookies,
+    getBrowserStatus
+};
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { setTimeout } = require('timers/promises');
+
+// How the automation browser is shown: 'headful' (a real window), 'headless' (Chrome's new headless mode),
+// 'xvfb' (a real window on a virtual display) or 'auto' (headful on a desktop, xvfb or headless on a server)
+const BROWSER_MODES = ['auto', 'headful', 'headless', 'xvfb'];
+
+// Every mode uses the same viewport, so the coordinate-based timeline steps click the same spots everywhere
+const VIEWPORT = { width: 1280, height: 720 };
+
+// Window size for headful and xvfb modes: the viewport plus room for the tab strip and address bar
+const WINDOW_SIZE = { width: VIEWPORT.width, height: VIEWPORT.height + 150 };
+
+// First X display number tried for the virtual display
+const FIRST_VIRTUAL_DISPLAY = 99;
+
+// Virtual display started by this process: { display, process }
+let virtualDisplay = null;
+
+/**
+ * Find an executable on the PATH
+ * @param {string} name - Executable name
+ * @returns {string|null} Absolute path, or null if it is not installed
+ */
+function findExecutable(name) {
+    for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+        const candidate = path.join(dir, name);
+        if (dir && fs.existsSync(candidate)) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * Work out which browser mode to use from BROWSER_MODE (default 'auto')
+ * @returns {string} 'headful', 'headless' or 'xvfb'
+ */
+function resolveBrowserMode() {
+    const configured = (process.env.BROWSER_MODE || 'auto').toLowerCase();
+    if (!BROWSER_MODES.includes(configured)) {
+        throw new Error(`Invalid BROWSER_MODE "${process.env.BROWSER_MODE}" (expected one of: ${BROWSER_MODES.join(', ')})`);
+    }
+    if (configured !== 'auto') {
+        return configured;
+    }
+
+    // Windows and macOS always have a desktop; on Linux only if a display server is running
+    if (process.platform !== 'linux' || process.env.DISPLAY || process.env.WAYLAND_DISPLAY) {
+        return 'headful';
+    }
+    return findExecutable('Xvfb') ? 'xvfb' : 'headless';
+}
+
+/**
+ * Start a virtual X display for the browser, or reuse the one already running
+ * @returns {Promise<string>} Display name, e.g. ':99'
+ */
+async function startVirtualDisplay() {
+    if (virtualDisplay && virtualDisplay.process.exitCode === null) {
+        return virtualDisplay.display;
+    }
+
+    const xvfbPath = findExecutable('Xvfb');
+    if (!xvfbPath) {
+        throw new Error('BROWSER_MODE is "xvfb" but Xvfb is not installed (e.g. apt install xvfb)');
+    }
+
+    // Skip display numbers another X server holds
+    let displayNumber = FIRST_VIRTUAL_DISPLAY;
+    while (fs.existsSync(`/tmp/.X${displayNumber}-lock`)) {
+        displayNumber++;
+    }
+    const display = `:${displayNumber}`;
+
+    const screen = `${WINDOW_SIZE.width}x${WINDOW_SIZE.height}x24`;
+    const child = spawn(xvfbPath, [display, '-screen', '0', screen, '-nolisten', 'tcp'], { stdio: 'ignore' });
+    child.on('exit', (code) => {
+        console.log(`🖥️ Virtual display ${display} exited${code !== null ? ` with code ${code}` : ''}`);
+    });
+
+    // Xvfb is ready once its socket exists
+    const socketPath = `/tmp/.X11-unix/X${displayNumber}`;
+    for (let waited = 0; !fs.existsSync(socketPath); waited += 100) {
+        if (child.exitCode !== null || waited >= 5000) {
+            child.kill();
+            throw new Error(`Virtual display ${display} did not start`);
+        }
+        await setTimeout(100);
+    }
+
+    virtualDisplay = { display, process: child };
+    console.log(`🖥️ Started virtual display ${display} (${screen})`);
+    return display;
+}
+
+/**
+ * Stop the virtual display started by this process, if any
+ */
+function stopVirtualDisplay() {
+    if (virtualDisplay) {
+        virtualDisplay.process.kill();
+        virtualDisplay = null;
+    }
+}
+
+// Don't leave Xvfb running after the server exits
+process.on('exit', stopVirtualDisplay);
+
+/**
+ * Build the Puppeteer launch options for the configured browser mode
+ * @returns {Promise<Object>} { mode, options } where options are passed to puppeteer.launch
+ */
+async function getBrowserLaunchOptions() {
+    const mode = resolveBrowserMode();
+
+    const options = {
+        headless: mode === 'headless' ? 'new' : false,
+        defaultViewport: VIEWPORT,
+        args: [
+            `--window-size=${WINDOW_SIZE.width},${WINDOW_SIZE.height}`,
+            // Jobs run in background tabs; keep their timers and canvas redraws at full speed
+            '--disable-background-timer-throttling',
+            '--disable-backgrounding-occluded-windows',
+            '--disable-renderer-backgrounding'
+        ]
+    };
+
+    if (mode === 'xvfb') {
+        options.env = { ...process.env, DISPLAY: await startVirtualDisplay() };
+    }
+
+    return { mode, options };
+}
+
+/**
+ * Check that a point is inside the page's viewport before clicking or dragging to it.
+ * Outside the viewport a mouse event silently misses (headless) or lands on browser chrome (headful).
+ * @param {Page} page - Puppeteer page object
+ * @param {number} x - X coordinate in CSS pixels
+ * @param {number} y - Y coordinate in CSS pixels
+ * @param {string} description - What is at the point, used in the error
+ */
+function assertInViewport(page, x, y, description) {
+    const viewport = page.viewport() || VIEWPORT;
+    if (!(x >= 0 && y >= 0 && x < viewport.width && y < viewport.height)) {
+        throw new Error(`${description} at (${Math.round(x)}, ${Math.round(y)}) is outside the ${viewport.width}x${viewport.height} viewport`);
+    }
+}
+
+module.exports = {
+    VIEWPORT,
+    resolveBrowserMode,
+    getBrowserLaunchOptions,
+    stopVirtualDisplay,
+    assertInViewport
+};
@@ -0,0 +1,331 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const archiver = require('archiver');
+
+// Each job collects its screenshots, logs and failure snapshots in debug/<jobId>/
+const DEBUG_DIR = path.join(__dirname, 'debug');
+
+// Longest page console message kept in the log
+const MAX_CONSOLE_MESSAGE_LENGTH = 2000;
+
+// Step statuses that end a step
+const FINAL_STEP_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Log lines are written as "[<ISO timestamp>] <text>"
+const LOG_LINE_PATTERN = /^\[([^\]]+)\] (.*)$/;
+
+// Create router for debug bundle API routes
+const router = express.Router();
+
+/**
+ * Get the folder of a job's debug bundle
+ * @param {string} jobId - Job ID (letters, digits, dashes and underscores only)
+ * @returns {string|null} Absolute folder path, or null for an invalid ID
+ */
+function getBundleDir(jobId) {
+    if (!/^[\w-]+$/.test(String(jobId))) {
+        return null;
+    }
+    return path.join(DEBUG_DIR, String(jobId));
+}
+
+/**
+ * Read a bundle's manifest.json
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} The manifest, or null if the job has no bundle
+ */
+function readManifest(jobId) {
+    const dir = getBundleDir(jobId);
+    const manifestPath = dir && path.join(dir, 'manifest.json');
+    if (!manifestPath || !fs.existsSync(manifestPath)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Failed to read debug manifest of job ${jobId}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Append a progress message to the job's progress.log, so it can be read back after the SSE stream is gone
+ * @param {string} jobId - Job ID
+ * @param {string} message - Progress message as broadcast to clients
+ */
+function appendProgress(jobId, message) {
+    const dir = getBundleDir(jobId);
+    if (!dir) return;
+
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.appendFileSync(path.join(dir, 'progress.log'), `[${new Date().toISOString()}] ${String(message).replace(/\n/g, ' ')}\n`);
+    } catch (error) {
+        console.log(`⚠️ Could not write progress log of job ${jobId}: ${error.message}`);
+    }
+}
+
+/**
+ * Read the progress messages recorded for a job
+ * @param {string} jobId - Job ID
+ * @returns {Array<Object>} [{ timestamp, message }], oldest first
+ */
+function readProgress(jobId) {
+    const dir = getBundleDir(jobId);
+    const logPath = dir && path.join(dir, 'progress.log');
+    if (!logPath || !fs.existsSync(logPath)) {
+        return [];
+    }
+
+    return fs.readFileSync(logPath, 'utf8')
+        .split('\n')
+        .map(line => LOG_LINE_PATTERN.exec(line))
+        .filter(Boolean)
+        .map(([, timestamp, message]) => ({ timestamp, message }));
+}
+
+/**
+ * Open a job's debug bundle and start a new attempt in it. A retried job keeps adding to the same
+ * folder; files are numbered so earlier attempts are never overwritten.
+ * Writing artifacts never throws: a failing debug capture must not fail the job.
+ * @param {string} jobId - Job ID
+ * @param {Object} details - Attempt details recorded in the manifest (e.g. { editor, videoPath })
+ * @returns {Object} Bundle with attachPage, logStep, screenshot, captureFailure and finish
+ */
+function openDebugBundle(jobId, details = {}) {
+    const dir = getBundleDir(jobId);
+    if (!dir) {
+        throw new Error(`Invalid job ID for a debug bundle: ${jobId}`);
+    }
+    fs.mkdirSync(dir, { recursive: true });
+
+    const now = new Date().toISOString();
+    const manifest = readManifest(jobId) || { jobId, createdAt: now, logs: ['progress.log', 'steps.log', 'page-console.log'], attempts: [], files: [] };
+    const attempt = { attempt: manifest.attempts.length + 1, startedAt: now, finishedAt: null, outcome: 'running', ...details, steps: [], failure: null };
+    manifest.attempts.push(attempt);
+
+    let currentStep = null;
+
+    const saveManifest = () => {
+        manifest.updatedAt = new Date().toISOString();
+        try {
+            fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+        } catch (error) {
+            console.log(`⚠️ Could not write debug manifest: ${error.message}`);
+        }
+    };
+
+    const appendLine = (fileName, line) => {
+        try {
+            fs.appendFileSync(path.join(dir, fileName), `[${new Date().toISOString()}] ${line}\n`);
+        } catch (error) {
+            console.log(`⚠️ Could not write ${fileName}: ${error.message}`);
+        }
+    };
+
+    // Record a file in the manifest and return its name, numbered across all attempts
+    const addFile = (label, extension, type) => {
+        const index = String(manifest.files.length + 1).padStart(2, '0');
+        const name = `${index}-${label.replace(/[^\w-]+/g, '_')}.${extension}`;
+        manifest.files.push({ name, type, step: currentStep, attempt: attempt.attempt, createdAt: new Date().toISOString() });
+        return name;
+    };
+
+    const header = `=== Attempt ${attempt.attempt} ===`;
+    appendLine('steps.log', header);
+    appendLine('page-console.log', header);
+    saveManifest();
+
+    const bundle = {
+        dir,
+
+        /**
+         * Record console messages, page errors and failed requests of the editor page
+         * @param {Page} page - Puppeteer page
+         */
+        attachPage(page) {
+            const write = (text) => appendLine('page-console.log', text.length > MAX_CONSOLE_MESSAGE_LENGTH
+                ? `${text.substring(0, MAX_CONSOLE_MESSAGE_LENGTH)}...`
+                : text);
+            page.on('console', message => write(`${message.type()}: ${message.text()}`));
+            page.on('pageerror', error => write(`pageerror: ${error.message}`));
+            page.on('requestfailed', request => {
+                const failure = request.failure();
+                write(`requestfailed: ${request.method()} ${request.url()} (${failure ? failure.errorText : 'unknown error'})`);
+            });
+        },
+
+        /**
+         * Add a line to the step log and update the step in the manifest
+         * @param {string} stepName - Step the event belongs to
+         * @param {string} status - 'started', 'retrying', 'completed', 'failed' or 'cancelled'
+         * @param {string} detail - Extra text, e.g. the duration or the error message
+         */
+        logStep(stepName, status, detail = null) {
+            currentStep = stepName;
+            const now = new Date().toISOString();
+            let duration = '';
+            if (status === 'started') {
+                attempt.steps.push({ name: stepName, status, detail, startedAt: now, finishedAt: null, durationMs: null, screenshot: null });
+            } else {
+                const entry = attempt.steps.filter(step => step.name === stepName).pop();
+                if (entry) {
+                    Object.assign(entry, { status, detail });
+                    if (FINAL_STEP_STATUSES.includes(status)) {
+                        entry.finishedAt = now;
+                        entry.durationMs = Date.parse(now) - Date.parse(entry.startedAt);
+                        duration = ` after ${Math.round(entry.durationMs / 1000)}s`;
+                    }
+                }
+            }
+            appendLine('steps.log', `${stepName}: ${status}${duration}${detail ? ` (${detail})` : ''}`);
+            saveManifest();
+        },
+
+        /**
+         * Save a screenshot of the page
+         * @param {Page} page - Puppeteer page
+         * @param {string} label - Used in the file name, e.g. 'trim' or 'cutout_card_not_found'
+         * @returns {Promise<string|null>} File name inside the bundle, or null if it could not be taken
+         */
+        async screenshot(page, label) {
+            if (!page || page.isClosed()) {
+                return null;
+            }
+
+            const name = addFile(label, 'png', 'screenshot');
+            try {
+                await page.screenshot({ path: path.join(dir, name), fullPage: true });
+                console.log(`📷 Screenshot saved to ${path.join(dir, name)}`);
+            } catch (error) {
+                console.log(`⚠️ Could not save screenshot "${label}": ${error.message}`);
+                manifest.files.pop();
+                return null;
+            }
+
+            // The step's own screenshot: taken after it completes, or when it fails
+            const entry = attempt.steps.filter(step => step.name === currentStep).pop();
+            if (entry && !entry.screenshot) {
+                entry.screenshot = name;
+            }
+            saveManifest();
+            return name;
+        },
+
+        /**
+         * Capture the page at the moment of a failure: a screenshot and a DOM snapshot.
+         * Only the first call per attempt captures anything, so the step that failed is what gets kept.
+         * @param {Page} page - Puppeteer page
+         * @param {Error} error - The failure
+         */
+        async captureFailure(page, error) {
+            if (attempt.failure) {
+                return;
+            }
+            attempt.failure = {
+                step: currentStep,
+                error: error.message,
+                // Set when the step failed because a registry element could not be found
+                selector: error.selectorName || null,
+                screenshot: null,
+                dom: null,
+                url: null
+            };
+
+            if (page && !page.isClosed()) {
+                attempt.failure.url = page.url();
+                attempt.failure.screenshot = await bundle.screenshot(page, `${currentStep || 'pipeline'}-failed`);
+                try {
+                    const html = await page.content();
+                    const name = addFile(`${currentStep || 'pipeline'}-dom`, 'html', 'dom');
+                    fs.writeFileSync(path.join(dir, name), html);
+                    attempt.failure.dom = name;
+                } catch (domError) {
+                    console.log(`⚠️ Could not save DOM snapshot: ${domError.message}`);
+                }
+            }
+            saveManifest();
+        },
+
+        /**
+         * Close the attempt
+         * @param {string} outcome - 'completed', 'failed' or 'cancelled'
+         * @param {Error} error - The error that ended the attempt, if any
+         */
+        finish(outcome, error = null) {
+            attempt.outcome = outcome;
+            attempt.finishedAt = new Date().toISOString();
+            if (error) {
+                attempt.error = error.message;
+            }
+            appendLine('steps.log', `attempt ${attempt.attempt} ${outcome}${error ? `: ${error.message}` : ''}`);
+            saveManifest();
+        }
+    };
+    return bundle;
+}
+
+// Download a job's debug bundle as a zip
+router.get('/jobs/:id/debug', (req, res) => {
+    const dir = getBundleDir(req.params.id);
+    if (!dir || !fs.existsSync(dir)) {
+        return res.status(404).json({
+            success: false,
+            message: `No debug bundle for job "${req.params.id}"`
+        });
+    }
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', (error) => {
+        console.error('❌ Error zipping debug bundle:', error);
+        res.destroy(error);
+    });
+
+    res.attachment(`debug-${req.params.id}.zip`);
+    archive.pipe(res);
+    archive.directory(dir, req.params.id);
+    archive.finalize();
+});
+
+// Get a job's debug manifest and its recorded progress messages (used by the job inspector page)
+router.get('/jobs/:id/debug/manifest', (req, res) => {
+    if (!getBundleDir(req.params.id)) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid job ID "${req.params.id}"`
+        });
+    }
+
+    res.json({
+        success: true,
+        manifest: readManifest(req.params.id),
+        progress: readProgress(req.params.id)
+    });
+});
+
+// Serve one file of a job's debug bundle, e.g. a step screenshot
+router.get('/jobs/:id/debug/files/:name', (req, res) => {
+    const dir = getBundleDir(req.params.id);
+    const manifest = dir ? readManifest(req.params.id) : null;
+    const known = manifest && (manifest.files.some(file => file.name === req.params.name) || (manifest.logs || []).includes(req.params.name));
+    if (!known || !fs.existsSync(path.join(dir, req.params.name))) {
+        return res.status(404).json({
+            success: false,
+            message: `File "${req.params.name}" not found in the debug bundle of job "${req.params.id}"`
+        });
+    }
+
+    res.sendFile(path.join(dir, req.params.name));
+});
+
+module.exports = {
+    openDebugBundle,
+    appendProgress,
+    readProgress,
+    readManifest,
+    getBundleDir,
+    // Express router for the /api/jobs/:id/debug routes
+    router
+};
@@ -0,0 +1,264 @@
+const express = require('express');
+const { setTimeout } = require('timers/promises');
+const { readEditors, getEditorId, findEditorById, claimEditor, startLeaseHeartbeat, releaseEditor } = require('./editors');
+const { getSelectors, getSelectorNames, matchElement, reloadSelectors } = require('./selectors');
+const { getEditorAccountId } = require('./accounts');
+const { acquirePage, releasePage, closeBrowsers } = require('./browserManager');
+
+// Create router for editor health API routes
+const router = express.Router();
+
+// How long to wait for the editor UI after the page loads
+const EDITOR_READY_TIMEOUT = 30000;
+
+// How long to wait for each element once its panel is open
+const ELEMENT_TIMEOUT = 3000;
+
+// Elements the health check looks for, grouped by what has to be open to see them.
+// Opening panels and dialogs never changes the draft; the cutout switch and the final export are never clicked.
+const HEALTH_PHASES = [
+    {
+        name: 'editor',
+        elements: ['uploadButton', 'projectName', 'timelinePanel', 'timelineCanvas', 'timelineFocusCanvas', 'timelineClip',
+            'playerTime', 'zoomInButton', 'zoomOutButton', 'splitButton', 'deleteButton', 'cutoutToolButton', 'exportButton']
+    },
+    { name: 'upload panel', opener: 'uploadButton', elements: ['uploadArea'] },
+    { name: 'cutout panel', opener: 'cutoutToolButton', selectClip: true, elements: ['cutoutCard'] },
+    { name: 'cutout options', opener: 'cutoutCard', elements: ['cutoutSwitchRow', 'cutoutSwitch'] },
+    { name: 'export dialog', opener: 'exportButton', elements: ['exportNameInput', 'exportDownloadButton'] },
+    { name: 'export confirmation', opener: 'exportDownloadButton', elements: ['exportConfirmButton'] }
+];
+
+// Elements that only exist while something is happening, so an idle draft cannot show them
+const NOT_CHECKABLE = {
+    mediaStatusOverlay: 'only shown while a file uploads',
+    loadingSpinner: 'only shown while CapCut is busy',
+    cutoutSwitchChecked: 'only shown once background removal is switched on',
+    ratioOption: 'only shown while the ratio menu is open',
+    downloadLink: 'only shown after a render finishes'
+};
+
+// Missing these does not break the pipeline (it falls back to timeline coordinates)
+const OPTIONAL_ELEMENTS = ['timelineClip'];
+
+/**
+ * Wait until one of an element's fallbacks matches, or the timeout passes
+ * @returns {Promise<Object|null>} Match from matchElement, or null
+ */
+async function waitForMatch(page, name, timeout) {
+    const startedAt = Date.now();
+    for (;;) {
+        const match = await matchElement(page, name);
+        if (match || Date.now() - startedAt >= timeout) {
+            return match;
+        }
+        await setTimeout(500);
+    }
+}
+
+/**
+ * Select the clip on Track 2 so the cutout panel has something to show (selection is not saved to the draft)
+ */
+async function selectVideoClip(page) {
+    const { getTimelineCanvasBox } = require('./timeline_test');
+    try {
+        const canvasBox = await getTimelineCanvasBox(page);
+        await page.mouse.click(canvasBox.x + 30, canvasBox.y + canvasBox.trackTop - 25);
+        await setTimeout(1000);
+    } catch (error) {
+        console.log('⚠️ Could not select a clip for the cutout panel:', error.message);
+    }
+}
+
+/**
+ * Resolve every registry selector on an open editor page without changing the draft
+ * @param {Page} page - Puppeteer page with the editor loaded
+ * @returns {Promise<Array<Object>>} One result per registry element:
+ *   { name, phase, status: 'resolved'|'missing'|'skipped', selector, fallback, fallbacks, reason }
+ */
+async function checkSelectors(page) {
+    const results = [];
+
+    for (const phase of HEALTH_PHASES) {
+        let skipReason = null;
+        if (phase.opener) {
+            if (phase.selectClip) {
+                await selectVideoClip(page);
+            }
+            // Look the opener up again: the UI may have re-rendered it since it was checked
+            const opener = results.some(result => result.name === phase.opener && result.status === 'resolved')
+                ? await matchElement(page, phase.opener)
+                : null;
+            if (!opener) {
+                skipReason = `needs ${phase.opener}, which was not found`;
+            } else {
+                try {
+                    await opener.handle.click();
+                    await setTimeout(1000);
+                } catch (error) {
+                    skipReason = `could not click ${phase.opener}: ${error.message}`;
+                }
+            }
+        }
+
+        for (const name of phase.elements) {
+            const total = getSelectors(name).length;
+            if (skipReason) {
+                results.push({ name, phase: phase.name, status: 'skipped', fallbacks: total, reason: skipReason });
+                continue;
+            }
+
+            // The first element waits for the editor UI to finish loading
+            const timeout = results.length === 0 ? EDITOR_READY_TIMEOUT : ELEMENT_TIMEOUT;
+            const match = await waitForMatch(page, name, timeout);
+            if (match) {
+                results.push({ name, phase: phase.name, status: 'resolved', selector: match.selector, fallback: match.index + 1, fallbacks: total });
+            } else {
+                results.push({ name, phase: phase.name, status: 'missing', fallbacks: total });
+            }
+        }
+    }
+
+    // Close whatever dialog is still open
+    await page.keyboard.press('Escape').catch(() => {});
+
+    // Report registry elements the phases above do not cover, so none are silently ignored
+    const checked = new Set(results.map(result => result.name));
+    for (const name of getSelectorNames()) {
+        if (checked.has(name)) continue;
+        results.push({
+            name,
+            phase: null,
+            status: 'skipped',
+            fallbacks: getSelectors(name).length,
+            reason: NOT_CHECKABLE[name] || 'not part of the health check'
+        });
+    }
+
+    return results;
+}
+
+/**
+ * Open an editor in the automation browser and check every selector the pipeline depends on.
+ * The editor is marked in-use for the duration of the check so no job claims it meanwhile.
+ * @param {Object} editor - Editor object from editors.json
+ * @returns {Promise<Object>} Health report: { editorId, url, registryVersion, checkedAt, healthy, summary, elements }
+ */
+async function checkEditorHealth(editor) {
+    // Pick up registry edits before checking
+    const registryVersion = reloadSelectors().version;
+
+    // Claimed without a job ID, so the draft keeps the job it last ran (failed jobs resume on it).
+    // A disabled editor is not claimed: jobs never take it, and it stays disabled after the check.
+    const disabled = editor.status === 'disabled';
+    const holder = `health:${getEditorId(editor)}`;
+    if (!disabled && !claimEditor(null, { url: editor.url, holder })) {
+        throw new Error('Editor is in use');
+    }
+    const stopHeartbeat = disabled ? () => {} : startLeaseHeartbeat(editor.url, holder);
+
+    let page = null;
+    try {
+        console.log(`🩺 Checking selectors on editor ${getEditorId(editor)}...`);
+        page = await acquirePage(holder, getEditorAccountId(editor));
+        await page.goto(editor.url, { waitUntil: 'networkidle2', timeout: 60000 });
+
+        const elements = await checkSelectors(page);
+        const summary = {
+            resolved: elements.filter(element => element.status === 'resolved').length,
+            missing: elements.filter(element => element.status === 'missing').length,
+            skipped: elements.filter(element => element.status === 'skipped').length
+        };
+        const healthy = !elements.some(element => element.status === 'missing' && !OPTIONAL_ELEMENTS.includes(element.name));
+
+        console.log(`${healthy ? '✅' : '❌'} Editor ${getEditorId(editor)}: ${summary.resolved} resolved, ${summary.missing} missing, ${summary.skipped} skipped`);
+        return {
+            editorId: getEditorId(editor),
+            url: editor.url,
+            registryVersion,
+            checkedAt: new Date().toISOString(),
+            healthy,
+            summary,
+            elements
+        };
+    } finally {
+        stopHeartbeat();
+        if (page) {
+            await releasePage(page);
+        }
+        // Only while the check still holds the lease: once reclaimed, the editor may belong to a job
+        if (!disabled) {
+            releaseEditor(editor.url, holder);
+        }
+    }
+}
+
+// Check an editor's selectors (takes up to a minute; the editor must not be in use)
+router.get('/editors/:id/health', async (req, res) => {
+    const editor = findEditorById(req.params.id);
+    if (!editor) {
+        return res.status(404).json({ success: false, message: `Editor not found: ${req.params.id}` });
+    }
+    if (editor.status === 'in-use') {
+        return res.status(409).json({ success: false, message: 'Editor is in use; try again when its job has finished' });
+    }
+
+    try {
+        const report = await checkEditorHealth(editor);
+        res.json({ success: true, ...report });
+    } catch (error) {
+        console.error('❌ Editor health check failed:', error);
+        const status = error.message === 'Editor is in use' ? 409 : 500;
+        res.status(status).json({ success: false, message: error.message });
+    }
+});
+
+module.exports = {
+    checkEditorHealth,
+    // Express router for the /api/editors/:id/health route
+    router
+};
+
+// CLI: node editorHealth.js [editorId ...] (every available editor when no ID is given)
+if (require.main === module) {
+    (async () => {
+        const ids = process.argv.slice(2);
+        const editors = ids.length > 0
+            ? ids.map(id => findEditorById(id) || { missingId: id })
+            : readEditors().filter(editor => editor.status === 'available');
+        if (editors.length === 0) {
+            console.error('❌ No available editors to check.');
+            process.exit(1);
+        }
+
+        let allHealthy = true;
+        for (const editor of editors) {
+            if (editor.missingId) {
+                console.error(`❌ Editor not found: ${editor.missingId}`);
+                allHealthy = false;
+                continue;
+            }
+
+            try {
+                const report = await checkEditorHealth(editor);
+                console.log(`\n🩺 ${report.editorId} (registry v${report.registryVersion}): ${report.healthy ? 'HEALTHY' : 'BROKEN'}`);
+                for (const element of report.elements) {
+                    if (element.status === 'resolved') {
+                        console.log(`   ✅ ${element.name}: fallback ${element.fallback}/${element.fallbacks} ${element.selector}`);
+                    } else if (element.status === 'missing') {
+                        console.log(`   ❌ ${element.name}: none of ${element.fallbacks} fallback(s) matched`);
+                    } else {
+                        console.log(`   ⏭️ ${element.name}: skipped (${element.reason})`);
+                    }
+                }
+                allHealthy = allHealthy && report.healthy;
+            } catch (error) {
+                console.error(`❌ Could not check editor ${getEditorId(editor)}: ${error.message}`);
+                allHealthy = false;
+            }
+        }
+
+        await closeBrowsers();
+        process.exit(allHealthy ? 0 : 1);
+    })();
+}
@@ -0,0 +1,189 @@
+const { readEditors, parseEditorId, addEditor, removeEditor, getEditorId } = require('./editors');
+const { readAccounts, getEditorAccountId } = require('./accounts');
+const { acquirePage, releasePage } = require('./browserManager');
+const { waitUntil } = require('./uiWaits');
+const { broadcastProgress } = require('./jobQueue'); // Pool changes are not tied to a job, so they go to every client
+
+// Create new CapCut drafts when jobs are waiting and every editor is busy (off unless enabled)
+const AUTO_PROVISION = process.env.EDITOR_AUTO_PROVISION === 'true';
+
+// Most drafts the provisioner keeps in the pool at once, across all accounts (0 creates none)
+const provisionMax = parseInt(process.env.EDITOR_PROVISION_MAX, 10);
+const MAX_PROVISIONED_EDITORS = Number.isNaN(provisionMax) ? 3 : Math.max(0, provisionMax);
+
+// A provisioned draft that has been idle this long, with no jobs waiting, is retired
+const IDLE_RETIRE_MINUTES = Math.max(1, parseInt(process.env.EDITOR_IDLE_RETIRE_MINUTES, 10) || 30);
+
+// Opening the editor without a draft ID creates a blank draft and redirects to /editor/<draftId>;
+// an account can set its own "newDraftUrl" (e.g. with its workspaceId)
+const DEFAULT_NEW_DRAFT_URL = 'https://www.capcut.com/editor';
+
+// How long a new draft may take to open
+const DRAFT_CREATE_TIMEOUT = 60000;
+
+// After a failed attempt, wait this long before creating drafts again
+const FAILURE_BACKOFF = 5 * 60 * 1000;
+
+// How often idle drafts are looked for
+const RETIRE_CHECK_INTERVAL = 60 * 1000;
+
+// Drafts being created right now
+let provisioning = 0;
+let lastFailureAt = 0;
+let retireTimer = null;
+
+/**
+ * Pick the account to create a draft in: the one with the fewest editors, skipping accounts
+ * whose session is known to be gone and accounts already running their maxConcurrentJobs
+ * @returns {Object|null} Account object, or null if no account can take another draft
+ */
+function pickAccount() {
+    const { getSessionStatus } = require('./sessionCookies');
+    const editors = readEditors();
+    const countOf = (account, status) => editors.filter(editor =>
+        getEditorAccountId(editor) === account.id && (!status || editor.status === status)).length;
+
+    const candidates = readAccounts().accounts.filter(account => {
+        const session = getSessionStatus(account);
+        if (session.status === 'expired' || session.status === 'missing') {
+            return false;
+        }
+        return !(account.maxConcurrentJobs > 0 && countOf(account, 'in-use') >= account.maxConcurrentJobs);
+    });
+    candidates.sort((a, b) => countOf(a) - countOf(b));
+    return candidates[0] || null;
+}
+
+/**
+ * Create a blank draft in an account's workspace and add it to the pool
+ * @param {Object} account - Account object from accounts.json
+ * @returns {Promise<Object>} The new editor
+ */
+async function createDraft(account) {
+    const page = await acquirePage(`provision:${account.id}`, account.id);
+    try {
+        await page.goto(account.newDraftUrl || DEFAULT_NEW_DRAFT_URL, { waitUntil: 'networkidle2', timeout: DRAFT_CREATE_TIMEOUT });
+        const url = await waitUntil(() => parseEditorId(page.url()) && page.url(), {
+            timeout: DRAFT_CREATE_TIMEOUT,
+            description: 'the new draft to open'
+        });
+        return addEditor({ url, account: account.id, label: `Auto-provisioned ${new Date().toISOString().slice(0, 16)}` }, { provisioned: true });
+    } finally {
+        await releasePage(page);
+    }
+}
+
+/**
+ * Create drafts for jobs that are waiting for an editor, up to EDITOR_PROVISION_MAX provisioned drafts
+ * @param {number} needed - Jobs that could start now if they had an editor
+ * @returns {Promise<number>} Number of drafts added to the pool
+ */
+async function requestEditors(needed) {
+    if (!AUTO_PROVISION || needed <= 0 || Date.now() - lastFailureAt < FAILURE_BACKOFF) {
+        return 0;
+    }
+
+    const provisioned = readEditors().filter(editor => editor.provisioned).length;
+    const count = Math.min(needed - provisioning, MAX_PROVISIONED_EDITORS - provisioned - provisioning);
+    if (count <= 0) {
+        return 0;
+    }
+
+    // Counted up front so queue polls during the creation don't ask for the same drafts again
+    provisioning += count;
+    let added = 0;
+    try {
+        for (let i = 0; i < count; i++) {
+            const account = pickAccount();
+            if (!account) {
+                console.log('⚠️ No account can take a new draft (session expired or missing, or at maxConcurrentJobs)');
+                break;
+            }
+
+            broadcastProgress(`🆕 All editors are busy; creating a new draft for account "${account.id}"...`, { allClients: true });
+            try {
+                const editor = await createDraft(account);
+                broadcastProgress(`✅ New editor ${getEditorId(editor)} added to the pool (account "${account.id}")`, { allClients: true });
+                added++;
+            } catch (error) {
+                lastFailureAt = Date.now();
+                broadcastProgress(`⚠️ Could not create a new draft for account "${account.id}": ${error.message}; retrying in ${FAILURE_BACKOFF / 60000} minutes`, { allClients: true });
+                break;
+            }
+        }
+    } finally {
+        provisioning -= count;
+    }
+    return added;
+}
+
+/**
+ * Remove provisioned drafts that have been idle for EDITOR_IDLE_RETIRE_MINUTES while no jobs are waiting.
+ * The drafts stay in the CapCut workspace; only the pool forgets them.
+ * @returns {Array<Object>} Editors that were retired
+ */
+function retireIdleEditors() {
+    const { listJobs } = require('./jobQueue');
+    if (listJobs().some(job => job.status === 'queued')) {
+        return [];
+    }
+
+    const idleSince = Date.now() - IDLE_RETIRE_MINUTES * 60 * 1000;
+    const idle = readEditors().filter(editor =>
+        editor.provisioned && editor.status === 'available' &&
+        Date.parse(editor.lastUsedAt || editor.createdAt) < idleSince);
+
+    const retired = [];
+    for (const editor of idle) {
+        try {
+            retired.push(removeEditor(getEditorId(editor)));
+            broadcastProgress(`🧹 Retired editor ${getEditorId(editor)}, idle for over ${IDLE_RETIRE_MINUTES} minutes`, { allClients: true });
+        } catch (error) {
+            // Claimed or removed since it was read
+            console.log(`⚠️ Could not retire editor ${getEditorId(editor)}: ${error.message}`);
+        }
+    }
+    return retired;
+}
+
+/**
+ * Start looking for idle drafts to retire (does nothing unless EDITOR_AUTO_PROVISION is on)
+ */
+function startEditorProvisioner() {
+    if (!AUTO_PROVISION || retireTimer) {
+        return;
+    }
+    console.log(`🆕 Editor provisioning on: up to ${MAX_PROVISIONED_EDITORS} new draft(s), retired after ${IDLE_RETIRE_MINUTES} idle minutes`);
+    retireTimer = setInterval(retireIdleEditors, RETIRE_CHECK_INTERVAL);
+    retireTimer.unref();
+}
+
+/**
+ * Get the number of drafts being created right now
+ * @returns {number} Drafts in progress
+ */
+function getProvisioningCount() {
+    return provisioning;
+}
+
+/**
+ * Describe the provisioner for the /status endpoint
+ * @returns {Object} { enabled, maxProvisioned, provisioned, inProgress, idleRetireMinutes }
+ */
+function getProvisionerStatus() {
+    return {
+        enabled: AUTO_PROVISION,
+        maxProvisioned: MAX_PROVISIONED_EDITORS,
+        provisioned: readEditors().filter(editor => editor.provisioned).length,
+        inProgress: provisioning,
+        idleRetireMinutes: IDLE_RETIRE_MINUTES
+    };
+}
+
+module.exports = {
+    requestEditors,
+    getProvisioningCount,
+    retireIdleEditors,
+    startEditorProvisioner,
+    getProvisionerStatus
+};
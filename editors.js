@@ -0,0 +1,701 @@
+const path = require('path');
+const express = require('express');
+const { readAccounts, getAccount, getEditorAccountId } = require('./accounts');
+const { readJson, updateJson } = require('./jsonStore');
+
+const EDITORS_PATH = path.join(__dirname, 'editors.json');
+
+// 'in-use' is only set by claiming an editor for a job; 'disabled' keeps an editor out of the pool for maintenance
+const EDITOR_STATUSES = ['available', 'in-use', 'disabled'];
+
+// The draft ID in an editor URL (".../editor/<draftId>?..."), which is the editor's stable ID
+const DRAFT_ID_PATTERN = /\/editor\/([A-Za-z0-9_-]{1,64})(?:[/?#]|$)/;
+
+// A claimed editor holds a lease that its holder renews; one that is not renewed for this long is reclaimed
+const LEASE_TTL = Math.max(30, parseInt(process.env.EDITOR_LEASE_TTL_SECONDS, 10) || 120) * 1000;
+
+// How often a holder renews its lease (several renewals fit in one TTL, so a slow write never loses it)
+const LEASE_HEARTBEAT_INTERVAL = LEASE_TTL / 4;
+
+// Create router for editor pool API routes
+const router = express.Router();
+
+// Result of the most recent startup reconciliation, reported by /status
+let lastReconciliation = null;
+
+/**
+ * Read the editor list from editors.json
+ * @returns {Array} Array of editor objects
+ */
+function readEditors() {
+    return readJson(EDITORS_PATH, []);
+}
+
+/**
+ * Change the editor list in editors.json. The mutator runs on a fresh read and is synchronous,
+ * so changes made by concurrent jobs are never lost.
+ * @param {function(Array): (boolean|void)} mutator - Changes the editors in place; returns false to skip the write
+ * @returns {Array} The editor list after the change
+ */
+function updateEditors(mutator) {
+    return updateJson(EDITORS_PATH, [], mutator, { indent: 4 });
+}
+
+/**
+ * Error for an editor pool request that cannot be carried out; status is the HTTP status to answer with
+ */
+class EditorPoolError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'EditorPoolError';
+        this.status = status;
+    }
+}
+
+/**
+ * Get the draft ID from an editor URL
+ * @param {string} url - Editor URL
+ * @returns {string|null} Draft ID, or null if the URL has none
+ */
+function parseEditorId(url) {
+    const match = DRAFT_ID_PATTERN.exec(url || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Get the ID of an editor: the draft ID in its URL (".../editor/<draftId>?...")
+ * @param {Object} editor - Editor object from editors.json
+ * @returns {string|null} Draft ID, or null if the URL has none
+ */
+function getEditorId(editor) {
+    return editor.id || parseEditorId(editor.url);
+}
+
+/**
+ * Check whether two editor URLs open the same draft. Query strings differ between copies
+ * of the same URL (e.g. enter_from), so drafts are compared by ID.
+ * @param {string} a - Editor URL
+ * @param {string} b - Editor URL
+ * @returns {boolean} True if both URLs open the same draft
+ */
+function isSameEditor(a, b) {
+    const idA = parseEditorId(a);
+    const idB = parseEditorId(b);
+    if (!idA || !idB) {
+        return a === b;
+    }
+    return idA.toLowerCase() === idB.toLowerCase();
+}
+
+/**
+ * Find an editor by its ID (case-insensitive, CapCut draft IDs are upper-case UUIDs)
+ * @param {string} id - Editor ID
+ * @returns {Object|null} Editor object, or null if no editor has this ID
+ */
+function findEditorById(id) {
+    const editors = readEditors();
+    return editors[findEditorIndex(editors, id)] || null;
+}
+
+/**
+ * Find the position of an editor in a list by its ID (case-insensitive)
+ * @param {Array} editors - Editor list from editors.json
+ * @param {string} id - Editor ID
+ * @returns {number} Index, or -1 if no editor has this ID
+ */
+function findEditorIndex(editors, id) {
+    const wanted = String(id).toLowerCase();
+    return editors.findIndex(editor => (getEditorId(editor) || '').toLowerCase() === wanted);
+}
+
+/**
+ * Drop an editor's owning job and lease, remembering the job as the one whose edits the draft still holds
+ * and when the editor was last used (idle provisioned drafts are retired after a while)
+ * @param {Object} editor - Editor object from editors.json
+ */
+function releaseJob(editor) {
+    if (editor.jobId) {
+        editor.lastJobId = editor.jobId;
+    }
+    delete editor.jobId;
+    delete editor.lease;
+    editor.lastUsedAt = new Date().toISOString();
+}
+
+/**
+ * Give an editor that is being claimed a fresh lease
+ * @param {Object} editor - Editor object from editors.json
+ * @param {string|null} jobId - Job that owns the editor
+ * @param {string} holder - Who renews the lease: the job ID, or a label such as "health:<editorId>"
+ */
+function grantLease(editor, jobId, holder) {
+    const now = Date.now();
+    editor.lease = {
+        jobId: jobId || null,
+        holder: holder || jobId || 'manual',
+        pid: process.pid,
+        acquiredAt: new Date(now).toISOString(),
+        renewedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + LEASE_TTL).toISOString()
+    };
+}
+
+/**
+ * Check whether an in-use editor's lease has run out (an in-use editor without a lease was set by hand)
+ * @param {Object} editor - Editor object from editors.json
+ * @returns {boolean} True if the editor is in use and its lease is missing or expired
+ */
+function isLeaseStale(editor) {
+    return editor.status === 'in-use' && !(editor.lease && Date.parse(editor.lease.expiresAt) > Date.now());
+}
+
+/**
+ * Renew the lease on an editor
+ * @param {string} url - Editor URL
+ * @param {string} holder - Holder the lease was granted to
+ * @returns {boolean} False if the editor no longer holds a lease for this holder (it was reclaimed or released)
+ */
+function renewLease(url, holder) {
+    try {
+        let held = false;
+        updateEditors(editors => {
+            const editor = editors.find(candidate => isSameEditor(candidate.url, url));
+            if (!editor || editor.status !== 'in-use' || !editor.lease || editor.lease.holder !== holder) {
+                return false;
+            }
+            held = true;
+            editor.lease.renewedAt = new Date().toISOString();
+            editor.lease.expiresAt = new Date(Date.now() + LEASE_TTL).toISOString();
+        });
+        return held;
+    } catch (error) {
+        console.error('❌ Error renewing editor lease:', error.message);
+        // A failed write is not a lost lease; the next heartbeat tries again
+        return true;
+    }
+}
+
+/**
+ * Renew a lease every LEASE_HEARTBEAT_INTERVAL until the returned function is called
+ * @param {string} url - Editor URL
+ * @param {string} holder - Holder the lease was granted to
+ * @returns {function} Stops the heartbeat
+ */
+function startLeaseHeartbeat(url, holder) {
+    const timer = setInterval(() => {
+        if (!renewLease(url, holder)) {
+            console.error(`⚠️ Lease of ${holder} on editor ${parseEditorId(url) || url} was lost (reclaimed or released); stopping its heartbeat`);
+            clearInterval(timer);
+        }
+    }, LEASE_HEARTBEAT_INTERVAL);
+    // The heartbeat alone must not keep a finished command-line run alive
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+/**
+ * Set editors whose lease has expired back to 'available'. The holder stopped renewing it,
+ * so the job or check that claimed the editor is gone (crashed, killed or hung).
+ * @returns {Array<Object>} Reclaimed editors: { id, jobId, holder, expiredAt }
+ */
+function reclaimExpiredLeases() {
+    const reclaimed = [];
+    try {
+        updateEditors(editors => {
+            for (const editor of editors) {
+                if (!isLeaseStale(editor)) continue;
+
+                const lease = editor.lease || {};
+                reclaimed.push({ id: getEditorId(editor), jobId: editor.jobId || lease.jobId || null, holder: lease.holder || null, expiredAt: lease.expiresAt || null });
+                editor.status = 'available';
+                releaseJob(editor);
+            }
+            return reclaimed.length > 0;
+        });
+
+        if (reclaimed.length > 0) {
+            console.log(`♻️ Reclaimed ${reclaimed.length} editor(s) with expired leases`);
+        }
+    } catch (error) {
+        console.error('❌ Error reclaiming editor leases:', error.message);
+    }
+    return reclaimed;
+}
+
+/**
+ * Update the status of the editor that opens the same draft as a URL
+ * @param {string} url - Editor URL (the query string may differ from editors.json)
+ * @param {string} status - New status ('available' or 'in-use')
+ * @param {string|null} jobId - Job that owns the editor while it is in use. When releasing, the job
+ *                              that is letting go: an editor whose lease has since passed to another job is left alone.
+ */
+async function updateEditorStatus(url, status, jobId = null) {
+    try {
+        let updated = false;
+        updateEditors(editors => {
+            // Find and update the editor with the same draft
+            const editor = editors.find(candidate => isSameEditor(candidate.url, url));
+            if (!editor) {
+                return false;
+            }
+            if (status !== 'in-use' && jobId && editor.jobId && editor.jobId !== jobId) {
+                console.log(`⚠️ Not releasing editor ${getEditorId(editor)}: its lease was reclaimed and it now belongs to job ${editor.jobId}`);
+                return false;
+            }
+
+            editor.status = status;
+            if (status === 'in-use') {
+                if (jobId) editor.jobId = jobId;
+                grantLease(editor, jobId, jobId);
+            } else {
+                releaseJob(editor);
+            }
+            updated = true;
+        });
+        if (updated) {
+            console.log(`📝 Updated editor status to: ${status}`);
+        }
+    } catch (error) {
+        console.error('Error updating editor status:', error.message);
+    }
+}
+
+/**
+ * Release an editor claimed by a holder that is not a job (e.g. a health check). An editor whose lease
+ * expired and was reclaimed, or has since been claimed by someone else, is left alone.
+ * @param {string} url - Editor URL
+ * @param {string} holder - Holder the lease was granted to
+ * @returns {boolean} True if the editor was released
+ */
+function releaseEditor(url, holder) {
+    let released = false;
+    try {
+        updateEditors(editors => {
+            const editor = editors.find(candidate => isSameEditor(candidate.url, url));
+            if (!editor || editor.status !== 'in-use' || !editor.lease || editor.lease.holder !== holder) {
+                return false;
+            }
+            editor.status = 'available';
+            releaseJob(editor);
+            released = true;
+        });
+    } catch (error) {
+        console.error('❌ Error releasing editor:', error.message);
+    }
+    if (!released) {
+        console.log(`⚠️ Not releasing editor ${parseEditorId(url) || url}: ${holder} no longer holds its lease`);
+    }
+    return released;
+}
+
+/**
+ * Find the available editors a job may use, least busy account first.
+ * Editors of accounts missing from accounts.json, or of accounts already running
+ * their maxConcurrentJobs, are left out.
+ * @param {Array} editors - Editor list from editors.json
+ * @returns {Array} Available editors, ordered so jobs spread across accounts
+ */
+function getClaimableEditors(editors) {
+    const { default: defaultAccount, accounts } = readAccounts();
+    const accountOf = (editor) => editor.account || defaultAccount;
+
+    const inUse = new Map(accounts.map(account => [account.id, 0]));
+    for (const editor of editors) {
+        if (editor.status === 'in-use' && inUse.has(accountOf(editor))) {
+            inUse.set(accountOf(editor), inUse.get(accountOf(editor)) + 1);
+        }
+    }
+
+    const hasRoom = (editor) => {
+        const account = accounts.find(candidate => candidate.id === accountOf(editor));
+        return Boolean(account) && !(account.maxConcurrentJobs > 0 && inUse.get(account.id) >= account.maxConcurrentJobs);
+    };
+
+    // Array.prototype.sort is stable, so editors.json order still decides within an account
+    return editors
+        .filter(editor => editor.status === 'available' && hasRoom(editor))
+        .sort((a, b) => inUse.get(accountOf(a)) - inUse.get(accountOf(b)));
+}
+
+/**
+ * Claim an available editor for a job, from the account with the fewest editors in use
+ * @param {string|null} jobId - Job that will own the editor (null for checks that are not jobs;
+ *                              the draft then keeps the job it last ran)
+ * @param {Object} options - Optional claim rules
+ * @param {string} options.url - Claim only this editor (used to resume a job on its own draft)
+ * @param {Array<string>} options.avoid - Editor URLs reserved for other jobs
+ * @param {string} options.holder - Who renews the lease when it is not the job itself (e.g. "health:<editorId>")
+ * @returns {Object|null} The claimed editor, or null if none are available
+ */
+function claimEditor(jobId, options = {}) {
+    const { url = null, avoid = [], holder = null } = options;
+
+    try {
+        let editor = null;
+        updateEditors(editors => {
+            const claimable = getClaimableEditors(editors);
+            editor = (url
+                ? claimable.find(e => isSameEditor(e.url, url))
+                : claimable.find(e => !avoid.some(reserved => isSameEditor(e.url, reserved)))) || null;
+            if (!editor) {
+                return false;
+            }
+
+            editor.status = 'in-use';
+            if (jobId) {
+                editor.jobId = jobId;
+            }
+            grantLease(editor, jobId, holder || jobId);
+        });
+        if (!editor) {
+            return null;
+        }
+        const account = getEditorAccountId(editor);
+        console.log(jobId ? `🔒 Editor claimed for job ${jobId} (account "${account}")` : `🔒 Editor claimed (account "${account}")`);
+        return editor;
+    } catch (error) {
+        console.error('❌ Error claiming editor:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Set every editor owned by a job back to 'available'
+ * @param {string} jobId - Job that owned the editors
+ * @returns {number} Number of editors released
+ */
+function releaseEditorsForJob(jobId) {
+    try {
+        let owned = [];
+        updateEditors(editors => {
+            owned = editors.filter(editor => editor.status === 'in-use' && editor.jobId === jobId);
+            owned.forEach(editor => {
+                editor.status = 'available';
+                releaseJob(editor);
+            });
+            return owned.length > 0;
+        });
+        if (owned.length === 0) {
+            return 0;
+        }
+        console.log(`🔓 Released ${owned.length} editor(s) held by job ${jobId}`);
+        return owned.length;
+    } catch (error) {
+        console.error('❌ Error releasing editors:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Release editors left 'in-use' by jobs that are no longer running (e.g. after a crash)
+ * @param {Array<string>} runningJobIds - IDs of jobs running in this process
+ * @returns {Array} Editors that were recovered
+ */
+function reconcileEditors(runningJobIds = []) {
+    const recovered = [];
+
+    try {
+        updateEditors(editors => {
+            for (const editor of editors) {
+                if (editor.status !== 'in-use') continue;
+                if (editor.jobId && runningJobIds.includes(editor.jobId)) continue;
+                // Held by another process (e.g. a command-line health check) that is still renewing its lease
+                if (!isLeaseStale(editor) && editor.lease.pid !== process.pid) continue;
+
+                recovered.push({ url: editor.url, jobId: editor.jobId || null });
+                editor.status = 'available';
+                releaseJob(editor);
+            }
+            return recovered.length > 0;
+        });
+
+        if (recovered.length > 0) {
+            console.log(`♻️ Recovered ${recovered.length} editor(s) stuck in 'in-use':`);
+            recovered.forEach(editor => {
+                console.log(`   - ${editor.url.substring(0, 80)}... (job: ${editor.jobId || 'unknown'})`);
+            });
+        } else {
+            console.log('✅ Editor reconciliation: no stale editors found');
+        }
+    } catch (error) {
+        console.error('❌ Error reconciling editor status:', error.message);
+    }
+
+    lastReconciliation = {
+        timestamp: new Date().toISOString(),
+        recovered: recovered
+    };
+    return recovered;
+}
+
+/**
+ * Get the result of the last reconciliation
+ * @returns {Object|null} Timestamp and recovered editors
+ */
+function getLastReconciliation() {
+    return lastReconciliation;
+}
+
+/**
+ * Check an editor URL: a CapCut editor draft, or a draft of the simulated editor (/mock-capcut/editor/<draftId>)
+ * @param {string} url - Editor URL
+ * @returns {string} The draft ID
+ */
+function validateEditorUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new EditorPoolError(`Invalid editor URL: "${url}"`);
+    }
+
+    const isCapCut = parsed.protocol === 'https:' && /(^|\.)capcut\.com$/.test(parsed.hostname);
+    const isMock = /^https?:$/.test(parsed.protocol) && parsed.pathname.startsWith('/mock-capcut/editor/');
+    if (!isCapCut && !isMock) {
+        throw new EditorPoolError('Editor URL must be an https://www.capcut.com/editor/... draft (or a /mock-capcut/editor/... draft)');
+    }
+
+    const id = parseEditorId(parsed.pathname);
+    if (!id) {
+        throw new EditorPoolError('Editor URL has no draft ID (expected .../editor/<draftId>)');
+    }
+    return id;
+}
+
+/**
+ * Check that an account exists before assigning editors to it
+ * @param {string} account - Account ID
+ */
+function validateAccount(account) {
+    if (!getAccount(account)) {
+        throw new EditorPoolError(`Unknown account "${account}" (not in accounts.json)`);
+    }
+}
+
+/**
+ * Shape an editor for API responses
+ * @param {Object} editor - Editor object from editors.json
+ * @returns {Object} { id, url, label, account, status, jobId, lastJobId, provisioned, lastUsedAt, lease, stale }
+ */
+function formatEditor(editor) {
+    return {
+        id: getEditorId(editor),
+        url: editor.url,
+        label: editor.label || null,
+        account: getEditorAccountId(editor),
+        status: editor.status,
+        jobId: editor.jobId || null,
+        lastJobId: editor.lastJobId || null,
+        provisioned: Boolean(editor.provisioned),
+        lastUsedAt: editor.lastUsedAt || null,
+        lease: editor.lease || null,
+        // In use, but its holder stopped renewing the lease; it is reclaimed on the next sweep
+        stale: isLeaseStale(editor)
+    };
+}
+
+/**
+ * Add an editor draft to the pool
+ * @param {Object} fields - { url, label, account, status: 'available' (default) or 'disabled' }
+ * @param {Object} options - { provisioned: true for drafts created by the provisioner, which may retire them }
+ * @returns {Object} The new editor
+ */
+function addEditor({ url, label, account, status = 'available' } = {}, { provisioned = false } = {}) {
+    const id = validateEditorUrl(url);
+    if (!['available', 'disabled'].includes(status)) {
+        throw new EditorPoolError('A new editor\'s status must be "available" or "disabled"');
+    }
+    if (account) {
+        validateAccount(account);
+    }
+
+    const editor = { id, url, status };
+    if (label) editor.label = String(label);
+    if (account) editor.account = account;
+    if (provisioned) {
+        editor.provisioned = true;
+        editor.createdAt = new Date().toISOString();
+    }
+    updateEditors(editors => {
+        if (findEditorIndex(editors, id) !== -1) {
+            throw new EditorPoolError(`Editor ${id} is already in the pool`, 409);
+        }
+        editors.push(editor);
+    });
+    console.log(`➕ Added editor ${id}${label ? ` (${label})` : ''}`);
+    return editor;
+}
+
+/**
+ * Change an editor's label, account, URL (same draft only) or status ('available' or 'disabled').
+ * An editor that is in use cannot be changed, except for its label.
+ * @param {string} id - Editor ID
+ * @param {Object} changes - { label, account, url, status }
+ * @returns {Object} The updated editor
+ */
+function updateEditor(id, changes = {}) {
+    let editor;
+    updateEditors(editors => {
+        editor = editors[findEditorIndex(editors, id)];
+        if (!editor) {
+            throw new EditorPoolError(`Editor not found: ${id}`, 404);
+        }
+
+        const { label, account, url, status } = changes;
+        if (editor.status === 'in-use' && (account !== undefined || url !== undefined || status !== undefined)) {
+            throw new EditorPoolError(`Editor ${getEditorId(editor)} is in use by job ${editor.jobId || 'unknown'}; only its label can change until the job finishes`, 409);
+        }
+
+        if (url !== undefined) {
+            // The ID is the draft ID, so a new URL must open the same draft (e.g. a different query string)
+            if (validateEditorUrl(url).toLowerCase() !== getEditorId(editor).toLowerCase()) {
+                throw new EditorPoolError('A new URL must open the same draft; add a new editor for a different draft');
+            }
+            editor.url = url;
+        }
+        if (status !== undefined) {
+            if (!['available', 'disabled'].includes(status)) {
+                throw new EditorPoolError('Status must be "available" or "disabled" ("in-use" is set by jobs)');
+            }
+            editor.status = status;
+        }
+        if (account !== undefined) {
+            if (account === null) {
+                delete editor.account;
+            } else {
+                validateAccount(account);
+                editor.account = account;
+            }
+        }
+        if (label !== undefined) {
+            if (label === null || label === '') {
+                delete editor.label;
+            } else {
+                editor.label = String(label);
+            }
+        }
+
+        // Editors added by hand get their ID written out the first time they are changed
+        editor.id = getEditorId(editor);
+    });
+    console.log(`📝 Updated editor ${editor.id}`);
+    return editor;
+}
+
+/**
+ * Remove an editor from the pool; an editor that is in use cannot be removed
+ * @param {string} id - Editor ID
+ * @returns {Object} The removed editor
+ */
+function removeEditor(id) {
+    let editor;
+    updateEditors(editors => {
+        const index = findEditorIndex(editors, id);
+        if (index === -1) {
+            throw new EditorPoolError(`Editor not found: ${id}`, 404);
+        }
+        editor = editors[index];
+        if (editor.status === 'in-use') {
+            throw new EditorPoolError(`Editor ${getEditorId(editor)} is in use by job ${editor.jobId || 'unknown'}; cancel the job or wait for it to finish`, 409);
+        }
+
+        editors.splice(index, 1);
+    });
+    console.log(`➖ Removed editor ${getEditorId(editor)}`);
+    return editor;
+}
+
+// ==================== API ROUTES ====================
+
+/**
+ * Answer an editor pool request that failed
+ * @param {Object} res - Express response
+ * @param {Error} error - EditorPoolError (its status is used) or an unexpected error (500)
+ */
+function sendEditorError(res, error) {
+    if (!(error instanceof EditorPoolError)) {
+        console.error('❌ Editor pool error:', error);
+    }
+    res.status(error instanceof EditorPoolError ? error.status : 500).json({ success: false, message: error.message });
+}
+
+// List editors (optional ?status=available|in-use|disabled|stale and ?account=<accountId>)
+router.get('/editors', (req, res) => {
+    const { status, account } = req.query;
+    if (status && !EDITOR_STATUSES.includes(status) && status !== 'stale') {
+        return res.status(400).json({ success: false, message: `Invalid status filter: "${status}"` });
+    }
+
+    try {
+        const editors = readEditors()
+            .map(formatEditor)
+            .filter(editor => (!status || editor.status === status || (status === 'stale' && editor.stale)) && (!account || editor.account === account));
+        res.json({ success: true, count: editors.length, editors });
+    } catch (error) {
+        sendEditorError(res, error);
+    }
+});
+
+// Get one editor
+router.get('/editors/:id', (req, res) => {
+    const editor = findEditorById(req.params.id);
+    if (!editor) {
+        return res.status(404).json({ success: false, message: `Editor not found: ${req.params.id}` });
+    }
+    res.json({ success: true, editor: formatEditor(editor) });
+});
+
+// Add an editor draft: { url, label, account, status }
+router.post('/editors', (req, res) => {
+    try {
+        const editor = addEditor(req.body || {});
+        res.status(201).json({ success: true, message: `Editor ${getEditorId(editor)} added`, editor: formatEditor(editor) });
+    } catch (error) {
+        sendEditorError(res, error);
+    }
+});
+
+// Change an editor: { label, account, url, status: 'available'|'disabled' }
+router.patch('/editors/:id', (req, res) => {
+    try {
+        const editor = updateEditor(req.params.id, req.body || {});
+        res.json({ success: true, message: `Editor ${getEditorId(editor)} updated`, editor: formatEditor(editor) });
+    } catch (error) {
+        sendEditorError(res, error);
+    }
+});
+
+// Remove an editor (refused while it is in use)
+router.delete('/editors/:id', (req, res) => {
+    try {
+        const editor = removeEditor(req.params.id);
+        res.json({ success: true, message: `Editor ${getEditorId(editor)} removed`, editor: formatEditor(editor) });
+    } catch (error) {
+        sendEditorError(res, error);
+    }
+});
+
+module.exports = {
+    EDITOR_STATUSES,
+    EditorPoolError,
+    readEditors,
+    updateEditors,
+    parseEditorId,
+    getEditorId,
+    isSameEditor,
+    findEditorById,
+    addEditor,
+    updateEditor,
+    removeEditor,
+    formatEditor,
+    updateEditorStatus,
+    releaseEditor,
+    claimEditor,
+    startLeaseHeartbeat,
+    reclaimExpiredLeases,
+    releaseEditorsForJob,
+    reconcileEditors,
+    getLastReconciliation,
+    // Express router for /api/editors routes
+    router
+};
@@ -0,0 +1,787 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const express = require('express');
+const { readEditors, isSameEditor, claimEditor, startLeaseHeartbeat, reclaimExpiredLeases, releaseEditorsForJob, reconcileEditors } = require('./editors');
+const { getEditorAccountId } = require('./accounts');
+const { readJson, writeJson } = require('./jsonStore');
+const { getVideo, addVideo, setVideoSource, linkVideoJob, addVideoOutput } = require('./videoLibrary');
+const { transitionVideo } = require('./videoLifecycle');
+
+// Jobs are persisted here so the queue survives a server restart
+const JOBS_PATH = path.join(__dirname, 'jobs.json');
+
+// How often to re-check editors.json for a freed editor while jobs are waiting
+const QUEUE_POLL_INTERVAL = 15000;
+
+// While jobs keep waiting, the provisioner is asked for new drafts at most this often
+const PROVISION_REQUEST_INTERVAL = 60 * 1000;
+
+// Maximum number of pipelines running at once (each needs its own editor)
+const MAX_CONCURRENT_JOBS = Math.max(1, parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 2);
+
+const jobEvents = new EventEmitter();
+
+let jobs = [];
+let pollTimer = null;
+let lastProvisionRequestAt = 0;
+
+// Jobs currently running, keyed by job ID
+const activeJobs = new Map();
+
+// Tracks which job the current async call chain belongs to, so progress events stay per-job
+const jobStorage = new AsyncLocalStorage();
+
+// Cancellation handles for running jobs, keyed by job ID (not persisted)
+const cancellations = new Map();
+
+// Create router for job API routes
+const router = express.Router();
+
+/**
+ * Thrown by the pipeline when it reaches a safe point after its job was cancelled
+ */
+class JobCancelledError extends Error {
+    constructor(jobId) {
+        super(`Job ${jobId} was cancelled`);
+        this.name = 'JobCancelledError';
+        this.jobId = jobId;
+    }
+}
+
+/**
+ * Get the ID of the job whose pipeline is running the current code
+ * @returns {string|null} Job ID, or null outside of a job
+ */
+function getCurrentJobId() {
+    const store = jobStorage.getStore();
+    return store ? store.jobId : null;
+}
+
+/**
+ * Log a progress message and send it to the /progress clients. Every module reports progress through this.
+ * @param {string} message - Message to send
+ * @param {Object} options - { allClients: true } for messages not tied to a job (pool and session changes),
+ *   which every client gets even when the code runs inside a job; otherwise it is tagged with the current job
+ */
+function broadcastProgress(message, { allClients = false } = {}) {
+    const jobId = allClients ? null : getCurrentJobId();
+    console.log(jobId ? `[${jobId.substring(0, 8)}] ${message}` : message);
+    if (global.broadcastProgress) {
+        global.broadcastProgress(message, jobId);
+    }
+}
+
+/**
+ * Load the persisted job list from jobs.json
+ * @returns {Array} Array of job objects
+ */
+function loadJobs() {
+    try {
+        const data = readJson(JOBS_PATH, { jobs: [] });
+        return Array.isArray(data.jobs) ? data.jobs : [];
+    } catch (error) {
+        console.error('❌ Failed to read jobs.json, starting with an empty queue:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Write the current job list back to jobs.json
+ */
+function saveJobs() {
+    try {
+        writeJson(JOBS_PATH, { jobs });
+    } catch (error) {
+        console.error('❌ Failed to write jobs.json:', error.message);
+    }
+}
+
+/**
+ * Record a change to a job, persist it and notify SSE subscribers
+ * @param {Object} job - The job that changed
+ * @param {Object} changes - Fields to update
+ */
+function updateJob(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    saveJobs();
+
+    if (global.broadcastJobUpdate) {
+        global.broadcastJobUpdate(formatJob(job));
+    }
+}
+
+/**
+ * Move a job's video to a lifecycle state, recording the job and its current step in the video's history.
+ * A refused move is logged; the job carries on.
+ * @param {Object} job - The job
+ * @param {string} state - Next state
+ * @param {Object} details - { error } for 'failed' and 'cancelled'; { actor: 'api' } when an API call made the move (default 'pipeline')
+ */
+function setVideoState(job, state, details = {}) {
+    if (!job.payload.videoId) {
+        return;
+    }
+    try {
+        transitionVideo(job.payload.videoId, state, { actor: 'pipeline', jobId: job.id, step: job.step, ...details });
+    } catch (error) {
+        console.log(`⚠️ Could not move video ${job.payload.videoId} to "${state}": ${error.message}`);
+    }
+}
+
+/**
+ * Get the state a job leaves its video in when it stops without an export: background-removed once
+ * its draft got past the cutout step, downloaded while the source file is there, failed otherwise
+ * @param {Object} job - The job
+ * @returns {string} Lifecycle state
+ */
+function getSettledVideoState(job) {
+    if (job.checkpoint && job.checkpoint.completedSteps.includes('cutout')) {
+        return 'background-removed';
+    }
+    return job.payload.filePath && fs.existsSync(job.payload.filePath) ? 'downloaded' : 'failed';
+}
+
+/**
+ * Shape a job for API responses
+ * @param {Object} job - The job
+ * @returns {Object} Public view of the job
+ */
+function formatJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        step: job.step,
+        queuePosition: getQueuePosition(job.id),
+        input: job.payload.url || path.basename(job.payload.filePath || ''),
+        videoId: job.payload.videoId || null,
+        recipe: job.payload.recipe ? job.payload.recipe.id : null,
+        editor: job.editor,
+        account: job.account || null,
+        outputPath: job.outputPath,
+        error: job.error,
+        cancelRequested: Boolean(job.cancelRequested),
+        attempts: job.attempts || 1,
+        completedSteps: job.checkpoint ? job.checkpoint.completedSteps : [],
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        updatedAt: job.updatedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|undefined} The job, if it exists
+ */
+function getJob(id) {
+    return jobs.find(job => job.id === id);
+}
+
+/**
+ * Get all jobs in FIFO order
+ * @returns {Array} Array of job objects
+ */
+function listJobs() {
+    return jobs.slice();
+}
+
+/**
+ * Get the position of a queued job (1 = next to run)
+ * @param {string} id - Job ID
+ * @returns {number} Position in the queue, or 0 if the job is not queued
+ */
+function getQueuePosition(id) {
+    const queued = jobs.filter(job => job.status === 'queued');
+    return queued.findIndex(job => job.id === id) + 1;
+}
+
+/**
+ * Add a job to the end of the queue and persist it
+ * @param {string} type - Job type ('upload', 'youtube' or 'reuse')
+ * @param {Object} payload - Job input (filePath and videoId for uploads, url for YouTube, recipe from resolveRecipe)
+ * @returns {Object} The new job
+ */
+function enqueueJob(type, payload) {
+    const job = {
+        id: crypto.randomUUID(),
+        type: type,
+        payload: payload,
+        status: 'queued',
+        step: null,
+        editor: null,
+        account: null,
+        outputPath: null,
+        error: null,
+        attempts: 1,
+        // Editor draft and completed steps, so a failed job can resume where it stopped
+        checkpoint: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        updatedAt: new Date().toISOString(),
+        finishedAt: null
+    };
+
+    jobs.push(job);
+    saveJobs();
+    setVideoState(job, 'queued', { actor: 'api' });
+
+    console.log(`📥 Job queued: ${job.id} (${type}), position ${getQueuePosition(job.id)}`);
+    setImmediate(processQueue);
+    return job;
+}
+
+/**
+ * Wait for a job to finish
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} Resolves with the job when it completes, rejects when it fails
+ */
+function waitForJob(id) {
+    return new Promise((resolve, reject) => {
+        const settle = (job) => {
+            if (job.status === 'completed') {
+                resolve(job);
+            } else {
+                reject(new Error(job.error || `Job ${job.id} ${job.status}`));
+            }
+        };
+
+        const job = getJob(id);
+        if (!job) {
+            return reject(new Error(`Job not found: ${id}`));
+        }
+        if (job.status !== 'queued' && job.status !== 'running') {
+            return settle(job);
+        }
+
+        const onFinished = (finishedJob) => {
+            if (finishedJob.id !== id) return;
+            jobEvents.removeListener('finished', onFinished);
+            settle(finishedJob);
+        };
+        jobEvents.on('finished', onFinished);
+    });
+}
+
+/**
+ * Run a single job to completion
+ * @param {Object} job - The job to run
+ * @param {Object} editor - Editor claimed for this job
+ * @returns {Promise<string|null>} Path of the exported video
+ */
+async function runJob(job, editor) {
+    const { runAutomationPipeline } = require('./timeline_test');
+
+    // Resolves when the job is cancelled so long waits can be interrupted
+    let onCancel;
+    const cancelled = new Promise(resolve => { onCancel = resolve; });
+    // actor is who asked for the cancellation, recorded in the video's history when the pipeline stops
+    const cancellation = { requested: false, actor: null, cancel: (actor) => { cancellation.requested = true; cancellation.actor = actor; onCancel(); } };
+    cancellations.set(job.id, cancellation);
+
+    // Resume on the same draft if an earlier attempt got past some steps
+    const resume = job.checkpoint && isSameEditor(job.checkpoint.editor, editor.url) ? job.checkpoint : null;
+
+    // Jobs queued before recipes existed run every step
+    const recipe = job.payload.recipe || null;
+
+    // Hooks the pipeline uses to report progress back to the job record
+    const context = {
+        jobId: job.id,
+        // Library record of the video
+        videoId: job.payload.videoId || null,
+        editor: editor,
+        resume: resume,
+        steps: recipe ? recipe.steps : undefined,
+        options: recipe ? recipe.options : {},
+        setStep: (step) => {
+            updateJob(job, { step });
+            if (step === 'export' || step === 'download') {
+                setVideoState(job, 'exporting');
+            }
+        },
+        setEditor: (editor) => updateJob(job, { editor }),
+        completeStep: (step, state) => {
+            const completedSteps = job.checkpoint && isSameEditor(job.checkpoint.editor, editor.url) ? job.checkpoint.completedSteps : [];
+            updateJob(job, {
+                checkpoint: {
+                    editor: editor.url,
+                    completedSteps: [...completedSteps.filter(name => name !== step), step],
+                    state: state
+                }
+            });
+            if (step === 'cutout') {
+                setVideoState(job, 'background-removed');
+            }
+        },
+        throwIfCancelled: () => {
+            if (cancellation.requested) throw new JobCancelledError(job.id);
+        },
+        // Race a long-running wait against cancellation
+        untilCancelled: (promise) => Promise.race([
+            promise,
+            cancelled.then(() => { throw new JobCancelledError(job.id); })
+        ])
+    };
+
+    if (job.type === 'youtube') {
+        // Jobs queued before YouTube videos got a record when queued
+        if (!job.payload.videoId) {
+            job.payload.videoId = context.videoId = addVideo({ name: job.payload.url, url: job.payload.url, status: 'queued', actor: 'pipeline' }).id;
+            saveJobs();
+        }
+        linkVideoJob(context.videoId, job.id);
+
+        // Only download once; a job resumed after a restart already has its file
+        if (!job.payload.filePath || !fs.existsSync(job.payload.filePath)) {
+            const { downloadYouTubeVideo } = require('./youtube-downloader');
+            setVideoState(job, 'downloading');
+            context.setStep('youtube-download');
+            broadcastProgress('🚀 Starting YouTube video download...');
+            job.payload.filePath = await downloadYouTubeVideo(job.payload.url, (progress) => {
+                broadcastProgress(progress);
+            });
+            saveJobs();
+
+            // The record now points at the file and takes its title from the .info.json
+            setVideoSource(context.videoId, job.payload.filePath);
+            setVideoState(job, 'downloaded');
+            context.throwIfCancelled();
+        }
+
+        setVideoState(job, 'processing');
+        broadcastProgress('📤 Starting CapCut automation pipeline...');
+        return runAutomationPipeline(job.payload.filePath, context);
+    } else if (job.type === 'reuse' || job.type === 'upload') {
+        if (context.videoId) {
+            linkVideoJob(context.videoId, job.id);
+        }
+        setVideoState(job, 'processing');
+        return runAutomationPipeline(job.payload.filePath, context);
+    } else {
+        throw new Error(`Unknown job type: ${job.type}`);
+    }
+}
+
+/**
+ * Cancel a job. Queued jobs are cancelled immediately; running jobs stop at the pipeline's next safe point.
+ * @param {string} id - Job ID
+ * @param {Object} options - { actor } recorded in the video's history (default 'api')
+ * @returns {Object} The job and whether cancellation is still pending
+ */
+function cancelJob(id, { actor = 'api' } = {}) {
+    const job = getJob(id);
+    if (!job) {
+        throw new Error(`Job not found: ${id}`);
+    }
+
+    if (job.status === 'queued') {
+        updateJob(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+        setVideoState(job, 'cancelled', { actor, error: 'Cancelled before it started' });
+
+        console.log(`🛑 Cancelled queued job: ${job.id}`);
+        jobEvents.emit('finished', job);
+        return { job, pending: false };
+    }
+
+    if (job.status === 'running') {
+        const cancellation = cancellations.get(job.id);
+        if (cancellation && !cancellation.requested) {
+            cancellation.cancel(actor);
+            broadcastProgress(`🛑 Cancellation requested for job ${job.id}, stopping at the next safe point...`);
+        }
+        updateJob(job, { cancelRequested: true });
+        return { job, pending: true };
+    }
+
+    return { job, pending: false };
+}
+
+/**
+ * Put a failed or cancelled job back at the end of the queue. Its checkpoint is kept,
+ * so the pipeline reopens the same editor draft and resumes at the step that failed.
+ * @param {string} id - Job ID
+ * @returns {Object} The requeued job
+ */
+function retryJob(id) {
+    const job = getJob(id);
+    if (!job) {
+        throw new Error(`Job not found: ${id}`);
+    }
+    if (job.status !== 'failed' && job.status !== 'cancelled') {
+        throw new Error(`Job "${job.id}" is ${job.status} and cannot be retried`);
+    }
+
+    // Retries keep FIFO fairness with jobs queued in the meantime
+    jobs.splice(jobs.indexOf(job), 1);
+    jobs.push(job);
+    updateJob(job, {
+        status: 'queued',
+        step: null,
+        editor: null,
+        account: null,
+        outputPath: null,
+        error: null,
+        cancelRequested: false,
+        attempts: (job.attempts || 1) + 1,
+        startedAt: null,
+        finishedAt: null
+    });
+    setVideoState(job, 'queued', { actor: 'api' });
+
+    const resumeStep = getResumeStep(job);
+    console.log(`🔁 Job requeued: ${job.id} (attempt ${job.attempts}${resumeStep ? `, resuming at ${resumeStep}` : ''})`);
+    setImmediate(processQueue);
+    return job;
+}
+
+/**
+ * Get the step a job will resume at, based on its checkpoint
+ * @param {Object} job - The job
+ * @returns {string|null} Name of the first step not completed, or null if it starts from scratch
+ */
+function getResumeStep(job) {
+    if (!job.checkpoint || job.checkpoint.completedSteps.length === 0) {
+        return null;
+    }
+    const { DEFAULT_STEPS } = require('./timeline_test');
+    const steps = job.payload.recipe ? job.payload.recipe.steps : DEFAULT_STEPS;
+    const next = steps.find(step => !job.checkpoint.completedSteps.includes(step));
+    return next || null;
+}
+
+/**
+ * Find the most recent failed or cancelled job for a video that can resume from a checkpoint
+ * @param {string} filename - Video filename (with extension), for jobs without a video ID
+ * @param {string|null} videoId - Video ID from videos.json
+ * @returns {Object|undefined} The job, if there is one
+ */
+function findResumableJob(filename, videoId = null) {
+    const editors = readEditors();
+    const isForVideo = (job) => videoId && job.payload.videoId
+        ? job.payload.videoId === videoId
+        : Boolean(job.payload.filePath) && path.basename(job.payload.filePath) === filename;
+    return jobs.slice().reverse().find(job =>
+        (job.status === 'failed' || job.status === 'cancelled') &&
+        isForVideo(job) &&
+        job.checkpoint && job.checkpoint.completedSteps.length > 0 &&
+        // The draft must still hold this job's edits
+        editors.some(editor => isSameEditor(editor.url, job.checkpoint.editor) && editor.lastJobId === job.id)
+    );
+}
+
+/**
+ * Claim an editor for a queued job. A job with a checkpoint waits for its own draft,
+ * and other jobs never take a draft that a checkpointed job is waiting for.
+ * @param {Object} job - The queued job
+ * @returns {Object|null} The claimed editor, or null if the job has to keep waiting
+ */
+function claimEditorForJob(job) {
+    if (job.checkpoint) {
+        const draft = readEditors().find(editor => isSameEditor(editor.url, job.checkpoint.editor));
+
+        // Still busy with a job that started before this retry
+        if (draft && draft.status === 'in-use') {
+            return null;
+        }
+        // Keeps waiting (null) while the draft is disabled for maintenance
+        if (draft && draft.lastJobId === job.id) {
+            return claimEditor(job.id, { url: draft.url });
+        }
+
+        // The draft was removed or has since been edited by another job
+        console.log(`⚠️ Editor draft for job ${job.id} is no longer usable, restarting from the first step`);
+        updateJob(job, { checkpoint: null });
+    }
+
+    const reserved = jobs
+        .filter(other => other.status === 'queued' && other.checkpoint)
+        .map(other => other.checkpoint.editor);
+    return claimEditor(job.id, { avoid: reserved });
+}
+
+/**
+ * Run a job on its claimed editor and record the outcome
+ * @param {Object} job - The job to run
+ * @param {Object} editor - Editor claimed for this job
+ */
+async function startJob(job, editor) {
+    activeJobs.set(job.id, job);
+    let stopHeartbeat = () => {};
+
+    // Nothing may throw outside the try: processQueue does not await this, so the job would never
+    // settle and its editor would stay in use (e.g. when accounts.json cannot be read)
+    try {
+        // Keeps the editor's lease alive while this process runs the job; if the process dies, the lease expires
+        stopHeartbeat = startLeaseHeartbeat(editor.url, job.id);
+
+        const account = getEditorAccountId(editor);
+        updateJob(job, { status: 'running', editor: editor.url, account, startedAt: new Date().toISOString() });
+        console.log(`▶️ Starting job ${job.id} (${job.type}) on editor ${editor.url.substring(0, 60)}... of account "${account}" [${activeJobs.size}/${MAX_CONCURRENT_JOBS} running]`);
+
+        const outputPath = await jobStorage.run({ jobId: job.id }, () => runJob(job, editor));
+        updateJob(job, { status: 'completed', outputPath: outputPath || null, finishedAt: new Date().toISOString() });
+        if (outputPath && job.payload.videoId) {
+            addVideoOutput(job.payload.videoId, outputPath);
+            setVideoState(job, 'complete');
+
+            // The export replaces the source: its file and .info.json leave uploads/
+            const video = getVideo(job.payload.videoId);
+            if (video && video.filename) {
+                const { deleteVideo } = require('./videos');
+                deleteVideo(video.filename);
+            }
+        } else if (job.step === 'export' || job.step === 'download') {
+            // The export steps ran, so the job was meant to produce a file
+            setVideoState(job, 'failed', { error: 'The job finished without a downloaded export' });
+        } else {
+            // Recipes without an export leave the video where its last step got it
+            setVideoState(job, getSettledVideoState(job));
+        }
+        console.log(`✅ Job completed: ${job.id}`);
+    } catch (error) {
+        if (error instanceof JobCancelledError) {
+            jobStorage.run({ jobId: job.id }, () => broadcastProgress(`🛑 Job cancelled: ${job.id}`));
+            updateJob(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+            const cancellation = cancellations.get(job.id);
+            setVideoState(job, 'cancelled', {
+                actor: (cancellation && cancellation.actor) || 'pipeline',
+                error: job.step ? `Cancelled during the ${job.step} step` : 'Cancelled before its first step'
+            });
+        } else {
+            jobStorage.run({ jobId: job.id }, () => broadcastProgress(`❌ Job failed: ${job.id} - ${error.message}`));
+            updateJob(job, { status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+            setVideoState(job, 'failed', { error: error.message });
+        }
+    }
+
+    // The pipeline releases its editor itself; this catches paths where it never got that far
+    stopHeartbeat();
+    releaseEditorsForJob(job.id);
+    activeJobs.delete(job.id);
+    cancellations.delete(job.id);
+    jobEvents.emit('finished', job);
+
+    setImmediate(processQueue);
+}
+
+/**
+ * Start queued jobs in FIFO order while there are free worker slots and free editors.
+ * A job waiting for its own draft does not hold up the jobs behind it.
+ */
+function processQueue() {
+    while (activeJobs.size < MAX_CONCURRENT_JOBS) {
+        const queued = jobs.filter(job => job.status === 'queued');
+        if (queued.length === 0) return;
+
+        // Claiming is synchronous, so two jobs can never be handed the same editor
+        let started = false;
+        for (const job of queued) {
+            const editor = claimEditorForJob(job);
+            if (editor) {
+                startJob(job, editor);
+                started = true;
+                break;
+            }
+        }
+
+        if (!started) {
+            console.log(`⏳ ${queued.length} job(s) waiting for a free editor`);
+
+            // Jobs without a checkpoint can use any editor, so a new draft lets them start. None of the free
+            // editors fit them (or one would have been claimed), so only drafts being created already count.
+            const { requestEditors, getProvisioningCount } = require('./editorProvisioner');
+            const needed = Math.min(queued.filter(job => !job.checkpoint).length, MAX_CONCURRENT_JOBS - activeJobs.size);
+            if (needed > getProvisioningCount() && Date.now() - lastProvisionRequestAt >= PROVISION_REQUEST_INTERVAL) {
+                lastProvisionRequestAt = Date.now();
+                requestEditors(needed)
+                    .then(added => { if (added > 0) processQueue(); })
+                    .catch(error => console.error('❌ Editor provisioning failed:', error.message));
+            }
+            return;
+        }
+    }
+}
+
+// ==================== API ROUTES ====================
+
+// List all jobs, newest first
+router.get('/jobs', (req, res) => {
+    try {
+        const { status } = req.query;
+        const result = jobs
+            .filter(job => !status || job.status === status)
+            .map(formatJob)
+            .reverse();
+
+        res.json({
+            success: true,
+            jobs: result
+        });
+    } catch (error) {
+        console.error('❌ Error listing jobs:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            jobs: []
+        });
+    }
+});
+
+// Get the state of a single job
+router.get('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            message: `Job "${req.params.id}" not found`
+        });
+    }
+
+    res.json({
+        success: true,
+        job: formatJob(job)
+    });
+});
+
+// Cancel a queued or running job
+router.post('/jobs/:id/cancel', (req, res) => {
+    const job = getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            message: `Job "${req.params.id}" not found`
+        });
+    }
+
+    if (job.status !== 'queued' && job.status !== 'running') {
+        return res.status(409).json({
+            success: false,
+            message: `Job "${job.id}" is already ${job.status}`,
+            job: formatJob(job)
+        });
+    }
+
+    try {
+        const { pending } = cancelJob(job.id);
+
+        res.status(pending ? 202 : 200).json({
+            success: true,
+            message: pending
+                ? 'Cancellation requested. The pipeline will stop at the next safe point and release its editor.'
+                : 'Job cancelled.',
+            job: formatJob(job)
+        });
+    } catch (error) {
+        console.error('❌ Error cancelling job:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Retry a failed or cancelled job, resuming from its last completed step
+router.post('/jobs/:id/retry', (req, res) => {
+    const job = getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            message: `Job "${req.params.id}" not found`
+        });
+    }
+
+    if (job.status !== 'failed' && job.status !== 'cancelled') {
+        return res.status(409).json({
+            success: false,
+            message: `Job "${job.id}" is ${job.status} and cannot be retried`,
+            job: formatJob(job)
+        });
+    }
+
+    try {
+        retryJob(job.id);
+        const resumeStep = getResumeStep(job);
+
+        res.status(202).json({
+            success: true,
+            message: resumeStep
+                ? `Job requeued, resuming at step "${resumeStep}"`
+                : 'Job requeued, starting from the first step',
+            resumeStep: resumeStep,
+            job: formatJob(job)
+        });
+    } catch (error) {
+        console.error('❌ Error retrying job:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Restore the persisted queue and start dispatching jobs
+ */
+function startJobQueue() {
+    jobs = loadJobs();
+
+    // Jobs that were running when the server stopped go back to the queue in their original position;
+    // their checkpoints are kept so they resume on the same draft
+    let restored = 0;
+    for (const job of jobs) {
+        if (job.status === 'running') {
+            job.status = 'queued';
+            job.step = null;
+            job.editor = null;
+            job.account = null;
+            job.startedAt = null;
+            setVideoState(job, 'queued');
+            restored++;
+        }
+    }
+    saveJobs();
+
+    // Editors still marked 'in-use' by jobs that are not running here were left behind by a crash
+    reconcileEditors([...activeJobs.keys()]);
+
+    const queuedCount = jobs.filter(job => job.status === 'queued').length;
+    console.log(`📋 Job queue loaded: ${queuedCount} queued${restored ? ` (${restored} interrupted job(s) restored)` : ''}, up to ${MAX_CONCURRENT_JOBS} running at once`);
+
+    if (!pollTimer) {
+        pollTimer = setInterval(() => {
+            // Editors whose holder stopped renewing its lease are free again
+            for (const editor of reclaimExpiredLeases()) {
+                broadcastProgress(`♻️ Reclaimed editor ${editor.id}: the lease of ${editor.holder || 'an unknown holder'} ${editor.expiredAt ? `expired at ${editor.expiredAt}` : 'was missing'}`);
+            }
+            processQueue();
+        }, QUEUE_POLL_INTERVAL);
+    }
+    processQueue();
+}
+
+module.exports = {
+    enqueueJob,
+    getJob,
+    listJobs,
+    getQueuePosition,
+    formatJob,
+    waitForJob,
+    cancelJob,
+    retryJob,
+    getResumeStep,
+    findResumableJob,
+    getCurrentJobId,
+    broadcastProgress,
+    JobCancelledError,
+    startJobQueue,
+    // Express router for /api/jobs routes
+    router
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+
+// Every JSON state file (editors.json, videos.json, jobs.json, sessions.json) is read and written here,
+// and the config files (accounts.json, recipes.json, selectors.json) are read here.
+// A read-modify-write runs synchronously from read to write, so writers in this process never interleave;
+// updateJson refuses the two things that would break that: an async mutator and a nested update of the same file.
+
+/**
+ * Error for a store operation that cannot be carried out
+ */
+class JsonStoreError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'JsonStoreError';
+    }
+}
+
+// Files with an update in progress
+const updating = new Set();
+
+/**
+ * Move a file that no longer parses aside, so it can be inspected and the next write starts clean
+ * @param {string} filePath - Corrupt file
+ * @returns {string} Path of the backup
+ */
+function backupCorruptFile(filePath) {
+    const backupPath = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    fs.renameSync(filePath, backupPath);
+    return backupPath;
+}
+
+// Default backend: one JSON file per document, replaced atomically (temp file + rename) so a crash
+// or a reader in another process never sees a half-written file
+const fileBackend = {
+    name: 'file',
+
+    read(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return undefined;
+        }
+        const text = fs.readFileSync(filePath, 'utf8');
+        if (!text.trim()) {
+            return undefined;
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            const backupPath = backupCorruptFile(filePath);
+            console.error(`❌ ${path.basename(filePath)} is corrupt (${error.message}); moved it to ${path.basename(backupPath)} and starting empty`);
+            return undefined;
+        }
+    },
+
+    write(filePath, data, { indent }) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(data, null, indent));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, filePath);
+    }
+};
+
+let backend = fileBackend;
+
+/**
+ * Replace the storage backend, e.g. with an embedded database. A backend is
+ * { name, read(filePath) → data or undefined when missing, write(filePath, data, { indent }) };
+ * both calls must be synchronous (as with better-sqlite3), which keeps updates from interleaving.
+ * The file path is the document's key.
+ * @param {Object} newBackend - Backend object
+ */
+function setStoreBackend(newBackend) {
+    if (!newBackend || typeof newBackend.read !== 'function' || typeof newBackend.write !== 'function') {
+        throw new JsonStoreError('A store backend needs read(filePath) and write(filePath, data, options) functions');
+    }
+    backend = newBackend;
+    console.log(`💾 JSON store backend: ${newBackend.name || 'custom'}`);
+}
+
+/**
+ * Read a JSON document
+ * @param {string} filePath - Document path
+ * @param {*} fallback - Returned when the document is missing (or was corrupt and has been backed up)
+ * @returns {*} Parsed data
+ */
+function readJson(filePath, fallback) {
+    const data = backend.read(filePath);
+    return data === undefined ? fallback : data;
+}
+
+/**
+ * Write a JSON document
+ * @param {string} filePath - Document path
+ * @param {*} data - Data to write
+ * @param {Object} options - { indent } (default 2)
+ */
+function writeJson(filePath, data, { indent = 2 } = {}) {
+    if (updating.has(filePath)) {
+        throw new JsonStoreError(`${path.basename(filePath)} is being updated; write it from the update instead`);
+    }
+    backend.write(filePath, data, { indent });
+}
+
+/**
+ * Read, change and write a JSON document in one step
+ * @param {string} filePath - Document path
+ * @param {*} fallback - Starting data when the document is missing
+ * @param {function} mutator - Changes the data in place; returns false to leave the document untouched
+ * @param {Object} options - { indent } (default 2)
+ * @returns {*} The data after the change
+ */
+function updateJson(filePath, fallback, mutator, { indent = 2 } = {}) {
+    if (updating.has(filePath)) {
+        throw new JsonStoreError(`${path.basename(filePath)} is already being updated`);
+    }
+
+    updating.add(filePath);
+    try {
+        const data = readJson(filePath, fallback);
+        const result = mutator(data);
+        if (result && typeof result.then === 'function') {
+            throw new JsonStoreError(`Updates to ${path.basename(filePath)} must be synchronous`);
+        }
+        if (result !== false) {
+            backend.write(filePath, data, { indent });
+        }
+        return data;
+    } finally {
+        updating.delete(filePath);
+    }
+}
+
+module.exports = {
+    JsonStoreError,
+    readJson,
+    writeJson,
+    updateJson,
+    setStoreBackend
+};
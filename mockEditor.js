@@ -0,0 +1,147 @@
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Drafts of the simulated CapCut editor (timeline state + uploaded media), one folder per draft
+const MOCK_DRAFTS_DIR = path.join(__dirname, 'mock_drafts');
+
+// Draft IDs end up in file paths, so only allow plain identifiers
+const DRAFT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Create router for the mock editor page and its draft API
+const router = express.Router();
+
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: function (req, file, cb) {
+            const dir = getDraftDir(req.params.draftId);
+            fs.mkdirSync(dir, { recursive: true });
+            cb(null, dir);
+        },
+        filename: function (req, file, cb) {
+            cb(null, `media-${Date.now()}${path.extname(file.originalname)}`);
+        }
+    })
+});
+
+/**
+ * Get the folder that holds a draft's media
+ * @param {string} draftId - Draft ID from the editor URL
+ * @returns {string} Absolute folder path
+ */
+function getDraftDir(draftId) {
+    return path.join(MOCK_DRAFTS_DIR, draftId);
+}
+
+/**
+ * Read a draft's saved state
+ * @param {string} draftId - Draft ID from the editor URL
+ * @returns {Object|null} Saved draft state, or null for a new draft
+ */
+function readDraft(draftId) {
+    const draftPath = path.join(getDraftDir(draftId), 'draft.json');
+    if (!fs.existsSync(draftPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(draftPath, 'utf8'));
+}
+
+/**
+ * Save a draft's state
+ * @param {string} draftId - Draft ID from the editor URL
+ * @param {Object} draft - Draft state sent by the editor page
+ */
+function writeDraft(draftId, draft) {
+    fs.mkdirSync(getDraftDir(draftId), { recursive: true });
+    fs.writeFileSync(path.join(getDraftDir(draftId), 'draft.json'), JSON.stringify(draft, null, 2));
+}
+
+// Reject draft IDs that could escape the drafts folder
+router.param('draftId', (req, res, next, draftId) => {
+    if (!DRAFT_ID_PATTERN.test(draftId)) {
+        return res.status(400).json({ success: false, message: `Invalid draft ID: "${draftId}"` });
+    }
+    next();
+});
+
+// Start a new draft, like opening CapCut's editor without a draft: redirects to a fresh draft ID
+router.get('/editor', (req, res) => {
+    const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+    res.redirect(`${req.baseUrl}/editor/mock-${crypto.randomUUID().slice(0, 8)}${query}`);
+});
+
+// Serve the editor app; every draft ID opens the same page
+router.get('/editor/:draftId', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'mock-editor.html'));
+});
+
+// Load a draft (a new draft starts empty and the page fills in its defaults)
+router.get('/api/drafts/:draftId', (req, res) => {
+    try {
+        res.json({ success: true, draft: readDraft(req.params.draftId) });
+    } catch (error) {
+        console.error('❌ Error reading mock draft:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Save a draft
+router.put('/api/drafts/:draftId', (req, res) => {
+    try {
+        writeDraft(req.params.draftId, req.body);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('❌ Error saving mock draft:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Upload a media file into a draft
+router.post('/api/drafts/:draftId/media', upload.single('file'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ success: false, message: 'No file uploaded.' });
+    }
+
+    res.json({
+        success: true,
+        media: {
+            id: req.file.filename,
+            name: req.file.originalname,
+            size: req.file.size
+        }
+    });
+});
+
+// Stream a draft's media file (used for previews and duration detection)
+router.get('/api/drafts/:draftId/media/:mediaId', (req, res) => {
+    const mediaPath = path.join(getDraftDir(req.params.draftId), path.basename(req.params.mediaId));
+    if (!fs.existsSync(mediaPath)) {
+        return res.status(404).json({ success: false, message: 'Media not found' });
+    }
+    res.sendFile(mediaPath);
+});
+
+// "Render" the draft: the export is the uploaded video itself, named after the project
+router.get('/api/drafts/:draftId/export', (req, res) => {
+    try {
+        const draft = readDraft(req.params.draftId);
+        const video = draft && (draft.media || []).find(item => item.type === 'video');
+        if (!video) {
+            return res.status(404).json({ success: false, message: 'Draft has no video to export' });
+        }
+
+        const fileName = `${req.query.name || draft.projectName || 'export'}.mp4`;
+        res.download(path.join(getDraftDir(req.params.draftId), path.basename(video.id)), fileName);
+    } catch (error) {
+        console.error('❌ Error exporting mock draft:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+module.exports = {
+    MOCK_DRAFTS_DIR,
+    // Express router for the /mock-capcut routes
+    router
+};
@@ -0,0 +1,179 @@
+const { setTimeout } = require('timers/promises');
+const { JobCancelledError, broadcastProgress } = require('./jobQueue');
+
+// Used when a step does not set its own timeout
+const DEFAULT_STEP_TIMEOUT = 5 * 60 * 1000;
+
+// Pause between a failed attempt and the retry
+const RETRY_DELAY = 3000;
+
+/**
+ * Thrown when one attempt of a step runs longer than its timeout
+ */
+class StepTimeoutError extends Error {
+    constructor(stepName, timeout) {
+        super(`Step "${stepName}" timed out after ${Math.round(timeout / 1000)}s`);
+        this.name = 'StepTimeoutError';
+        this.step = stepName;
+    }
+}
+
+/**
+ * Describe a pipeline step
+ * @param {Object} definition - Step definition
+ * @param {string} definition.name - Step name, reported as the job step and stored in checkpoints
+ * @param {function} definition.run - async (page, state, job) => void; reads and writes `state`
+ * @param {Array<string>} definition.inputs - State keys the step needs, checked before it runs
+ * @param {Array<string>} definition.outputs - State keys the step must set before it counts as done
+ * @param {number} definition.timeout - Maximum duration of one attempt in ms
+ * @param {number} definition.retries - Extra attempts after a failure (timeouts are not retried)
+ * @param {boolean} definition.screenshotOnFailure - Capture the page into the job's debug bundle when the step fails
+ * @returns {Object} The step with defaults applied
+ */
+function defineStep(definition) {
+    if (!definition.name || typeof definition.run !== 'function') {
+        throw new Error('A pipeline step needs a name and a run function');
+    }
+
+    return Object.freeze({
+        name: definition.name,
+        run: definition.run,
+        inputs: definition.inputs || [],
+        outputs: definition.outputs || [],
+        timeout: definition.timeout || DEFAULT_STEP_TIMEOUT,
+        retries: definition.retries || 0,
+        screenshotOnFailure: definition.screenshotOnFailure !== false
+    });
+}
+
+/**
+ * Pick steps by name, in the order given
+ * @param {Array<Object>} steps - All defined steps
+ * @param {Array<string>} names - Names of the steps to run
+ * @returns {Array<Object>} The selected steps
+ */
+function selectSteps(steps, names) {
+    return names.map(name => {
+        const step = steps.find(candidate => candidate.name === name);
+        if (!step) {
+            throw new Error(`Unknown pipeline step: "${name}"`);
+        }
+        return step;
+    });
+}
+
+/**
+ * Run one attempt of a step, failing it once its timeout passes
+ */
+async function runAttempt(step, page, state, job) {
+    const timer = new AbortController();
+    try {
+        return await Promise.race([
+            step.run(page, state, job),
+            setTimeout(step.timeout, null, { signal: timer.signal }).then(() => {
+                throw new StepTimeoutError(step.name, step.timeout);
+            })
+        ]);
+    } finally {
+        timer.abort();
+    }
+}
+
+/**
+ * Run a single step with its input checks, retries, timeout and output checks
+ * @param {Object} step - Step created by defineStep
+ * @param {Page} page - Puppeteer page of the editor
+ * @param {Object} state - Shared pipeline state
+ * @param {Object} job - Job hooks passed to the step ({ checkpoint, untilCancelled, debug })
+ */
+async function runStep(step, page, state, job) {
+    const debug = job.debug || null;
+    const missingInputs = step.inputs.filter(key => state[key] === undefined);
+    if (missingInputs.length > 0) {
+        throw new Error(`Step "${step.name}" is missing input(s): ${missingInputs.join(', ')}`);
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await runAttempt(step, page, state, job);
+            break;
+        } catch (error) {
+            if (error instanceof JobCancelledError) throw error;
+
+            // A timed-out attempt may still be driving the page, so it is never retried
+            const canRetry = attempt <= step.retries && !(error instanceof StepTimeoutError);
+            if (!canRetry) {
+                if (debug && step.screenshotOnFailure) {
+                    await debug.captureFailure(page, error);
+                }
+                throw error;
+            }
+
+            if (debug) debug.logStep(step.name, 'retrying', `attempt ${attempt} failed: ${error.message}`);
+            broadcastProgress(`🔁 Step "${step.name}" failed (${error.message}), retrying (${attempt}/${step.retries})...`);
+            job.checkpoint();
+            await setTimeout(RETRY_DELAY);
+        }
+    }
+
+    const missingOutputs = step.outputs.filter(key => state[key] === undefined);
+    if (missingOutputs.length > 0) {
+        throw new Error(`Step "${step.name}" did not produce output(s): ${missingOutputs.join(', ')}`);
+    }
+}
+
+/**
+ * Run an ordered list of steps against one editor page
+ * @param {Array<Object>} steps - Steps created by defineStep, in the order to run them
+ * @param {Object} options - Run options
+ * @param {Page} options.page - Puppeteer page of the editor
+ * @param {Object} options.state - Shared pipeline state, updated in place
+ * @param {Object} options.job - Job hooks passed to each step ({ checkpoint, untilCancelled, debug });
+ *   `debug` is the job's debug bundle, which gets a log line and a screenshot per step
+ * @param {Array<string>} options.completedSteps - Names of steps to skip; completed steps are appended
+ * @param {function} options.onStepStart - Called with the step name before it runs
+ * @param {function} options.onStepComplete - Called with (stepName, state) after it succeeds
+ * @returns {Promise<Object>} The final state
+ */
+async function runPipeline(steps, options) {
+    const { page, state, job, completedSteps = [], onStepStart, onStepComplete } = options;
+    const debug = job.debug || null;
+
+    for (const step of steps) {
+        if (completedSteps.includes(step.name)) {
+            console.log(`⏭️ Skipping completed step: ${step.name}`);
+            continue;
+        }
+
+        if (onStepStart) onStepStart(step.name);
+        if (debug) debug.logStep(step.name, 'started');
+        const startedAt = Date.now();
+        try {
+            await runStep(step, page, state, job);
+        } catch (error) {
+            if (debug) debug.logStep(step.name, error instanceof JobCancelledError ? 'cancelled' : 'failed', error.message);
+            if (error instanceof JobCancelledError) throw error;
+            broadcastProgress(`❌ FAILED: Step "${step.name}" failed: ${error.message}`);
+            throw error;
+        }
+        console.log(`✅ Step "${step.name}" finished in ${Math.round((Date.now() - startedAt) / 1000)}s`);
+        if (debug) {
+            debug.logStep(step.name, 'completed');
+            await debug.screenshot(page, step.name);
+        }
+
+        completedSteps.push(step.name);
+        if (onStepComplete) onStepComplete(step.name, state);
+    }
+
+    return state;
+}
+
+module.exports = {
+    defineStep,
+    selectSteps,
+    runStep,
+    runPipeline,
+    StepTimeoutError,
+    DEFAULT_STEP_TIMEOUT
+};
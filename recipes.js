@@ -0,0 +1,80 @@
+const path = require('path');
+const express = require('express');
+const { readJson } = require('./jsonStore');
+
+// Named processing recipes: which pipeline steps a job runs, and the options they use
+const RECIPES_PATH = path.join(__dirname, 'recipes.json');
+
+// Create router for recipe API routes
+const router = express.Router();
+
+/**
+ * Read the recipe file
+ * @returns {Object} { default, recipes }
+ */
+function readRecipes() {
+    const data = readJson(RECIPES_PATH, null);
+    if (!data) {
+        throw new Error('recipes.json not found');
+    }
+    return {
+        default: data.default,
+        recipes: Array.isArray(data.recipes) ? data.recipes : []
+    };
+}
+
+/**
+ * Look up a recipe and check that every step it lists exists
+ * @param {string} id - Recipe ID (the default recipe when omitted)
+ * @returns {Object} Recipe snapshot to store with a job: { id, name, steps, options }
+ */
+function resolveRecipe(id) {
+    const { PIPELINE_STEPS } = require('./timeline_test');
+    const data = readRecipes();
+    const recipeId = id || data.default;
+
+    const recipe = data.recipes.find(candidate => candidate.id === recipeId);
+    if (!recipe) {
+        throw new Error(`Unknown recipe: "${recipeId}"`);
+    }
+
+    const unknownSteps = (recipe.steps || []).filter(step => !PIPELINE_STEPS.some(known => known.name === step));
+    if (!recipe.steps || recipe.steps.length === 0 || unknownSteps.length > 0) {
+        throw new Error(`Recipe "${recipe.id}" has invalid steps: ${unknownSteps.join(', ') || 'none listed'}`);
+    }
+
+    return {
+        id: recipe.id,
+        name: recipe.name,
+        steps: recipe.steps.slice(),
+        options: recipe.options || {}
+    };
+}
+
+// ==================== API ROUTES ====================
+
+// List the available recipes
+router.get('/recipes', (req, res) => {
+    try {
+        const data = readRecipes();
+        res.json({
+            success: true,
+            default: data.default,
+            recipes: data.recipes
+        });
+    } catch (error) {
+        console.error('❌ Error reading recipes:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            recipes: []
+        });
+    }
+});
+
+module.exports = {
+    readRecipes,
+    resolveRecipe,
+    // Express router for /api/recipes routes
+    router
+};
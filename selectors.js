@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { readJson } = require('./jsonStore');
+
+// CapCut selector registry: ordered fallbacks for every element the pipeline touches.
+// Entries are CSS selectors, or XPath expressions prefixed with "xpath/".
+const SELECTORS_PATH = path.join(__dirname, 'selectors.json');
+
+// Create router for selector registry API routes
+const router = express.Router();
+
+// Loaded registry: { version, updated, selectors, loadedAt, mtimeMs }
+let registry = null;
+
+// Modification time of a selectors.json edit that failed to load, so it is not retried on every lookup
+let rejectedMtimeMs = null;
+
+// Which fallback matched, per element: { [name]: { [selector]: { hits, lastMatchedAt } } }
+const matchStats = {};
+
+// Last fallback logged per element, so a log line is only written when the match changes
+const lastLoggedMatch = {};
+
+/**
+ * Thrown when none of an element's fallbacks match the page
+ */
+class SelectorNotFoundError extends Error {
+    constructor(name, version, tried) {
+        super(`No selector matched "${name}" (registry v${version}, ${tried} fallback(s) tried)`);
+        this.name = 'SelectorNotFoundError';
+        this.selectorName = name;
+    }
+}
+
+/**
+ * Read and validate the registry file
+ * @returns {Object} { version, updated, selectors, loadedAt, mtimeMs }
+ */
+function readRegistry() {
+    const mtimeMs = fs.existsSync(SELECTORS_PATH) ? fs.statSync(SELECTORS_PATH).mtimeMs : null;
+    const data = readJson(SELECTORS_PATH, null);
+    if (!data) {
+        throw new Error('selectors.json not found');
+    }
+    if (!Number.isInteger(data.version)) {
+        throw new Error('selectors.json needs an integer "version"');
+    }
+    if (!data.selectors || typeof data.selectors !== 'object') {
+        throw new Error('selectors.json needs a "selectors" object');
+    }
+    for (const [name, fallbacks] of Object.entries(data.selectors)) {
+        if (!Array.isArray(fallbacks) || fallbacks.length === 0 || !fallbacks.every(s => typeof s === 'string' && s.trim())) {
+            throw new Error(`Selector "${name}" must be a non-empty list of selector strings`);
+        }
+    }
+
+    return {
+        version: data.version,
+        updated: data.updated || null,
+        selectors: data.selectors,
+        loadedAt: new Date().toISOString(),
+        mtimeMs
+    };
+}
+
+/**
+ * Load the registry from disk, replacing the one in memory
+ * @returns {Object} The loaded registry
+ */
+function reloadSelectors() {
+    registry = readRegistry();
+    console.log(`🧭 Loaded selector registry v${registry.version} (${Object.keys(registry.selectors).length} elements)`);
+    return registry;
+}
+
+/**
+ * Get the registry, reloading it when selectors.json changed on disk.
+ * A broken edit keeps the previous registry in use.
+ * @returns {Object} The current registry
+ */
+function getRegistry() {
+    if (!registry) {
+        return reloadSelectors();
+    }
+
+    const mtimeMs = fs.existsSync(SELECTORS_PATH) ? fs.statSync(SELECTORS_PATH).mtimeMs : null;
+    if (mtimeMs !== null && mtimeMs !== registry.mtimeMs && mtimeMs !== rejectedMtimeMs) {
+        try {
+            reloadSelectors();
+        } catch (error) {
+            rejectedMtimeMs = mtimeMs;
+            console.error(`❌ Could not reload selectors.json, keeping v${registry.version}:`, error.message);
+        }
+    }
+    return registry;
+}
+
+/**
+ * Get the ordered fallbacks of an element
+ * @param {string} name - Logical element name, e.g. 'splitButton'
+ * @returns {Array<string>} Selectors, most preferred first
+ */
+function getSelectors(name) {
+    const fallbacks = getRegistry().selectors[name];
+    if (!fallbacks) {
+        throw new Error(`Unknown selector: "${name}"`);
+    }
+    return fallbacks;
+}
+
+/**
+ * List the names of every element in the registry
+ * @returns {Array<string>} Logical element names
+ */
+function getSelectorNames() {
+    return Object.keys(getRegistry().selectors);
+}
+
+/**
+ * Count a match and log it when the element matched a different fallback than last time
+ */
+function recordMatch(name, fallbacks, index) {
+    const selector = fallbacks[index];
+    const stats = matchStats[name] || (matchStats[name] = {});
+    const entry = stats[selector] || (stats[selector] = { hits: 0, lastMatchedAt: null });
+    entry.hits++;
+    entry.lastMatchedAt = new Date().toISOString();
+
+    if (lastLoggedMatch[name] !== selector) {
+        lastLoggedMatch[name] = selector;
+        console.log(`🎯 Selector "${name}" matched fallback ${index + 1}/${fallbacks.length}: ${selector}`);
+    }
+}
+
+/**
+ * Wait for an element, trying each fallback in order
+ * @param {Page} page - Puppeteer page object
+ * @param {string} name - Logical element name
+ * @param {Object} options - Lookup options
+ * @param {number} options.timeout - How long to wait for each fallback in ms
+ * @param {boolean} options.visible - Only match visible elements
+ * @returns {Promise<ElementHandle>} The matched element
+ */
+async function findElement(page, name, options = {}) {
+    const { timeout = 3000, visible = false } = options;
+    const fallbacks = getSelectors(name);
+
+    for (let i = 0; i < fallbacks.length; i++) {
+        try {
+            const handle = await page.waitForSelector(fallbacks[i], { visible, timeout });
+            if (handle) {
+                recordMatch(name, fallbacks, i);
+                return handle;
+            }
+        } catch (error) {
+            if (page.isClosed()) throw error;
+            if (error.name !== 'TimeoutError') {
+                console.log(`⚠️ Selector "${name}" fallback ${i + 1} is invalid: ${error.message}`);
+            }
+        }
+    }
+
+    throw new SelectorNotFoundError(name, getRegistry().version, fallbacks.length);
+}
+
+/**
+ * Look up an element without waiting and report which fallback matched
+ * @param {Page} page - Puppeteer page object
+ * @param {string} name - Logical element name
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.visible - Only match elements with a size on the page
+ * @returns {Promise<Object|null>} { handle, selector, index, total }, or null if nothing matched
+ */
+async function matchElement(page, name, options = {}) {
+    const { visible = false } = options;
+    const fallbacks = getSelectors(name);
+
+    for (let i = 0; i < fallbacks.length; i++) {
+        let handle;
+        try {
+            handle = await page.$(fallbacks[i]);
+        } catch (error) {
+            if (page.isClosed()) throw error;
+            console.log(`⚠️ Selector "${name}" fallback ${i + 1} is invalid: ${error.message}`);
+            continue;
+        }
+        if (handle && (!visible || await handle.boundingBox())) {
+            recordMatch(name, fallbacks, i);
+            return { handle, selector: fallbacks[i], index: i, total: fallbacks.length };
+        }
+    }
+    return null;
+}
+
+/**
+ * Look up an element without waiting, trying each fallback in order
+ * @param {Page} page - Puppeteer page object
+ * @param {string} name - Logical element name
+ * @param {Object} options - Same as matchElement
+ * @returns {Promise<ElementHandle|null>} The matched element, or null
+ */
+async function queryElement(page, name, options = {}) {
+    const match = await matchElement(page, name, options);
+    return match ? match.handle : null;
+}
+
+/**
+ * Wait for an element and click it
+ * @param {Page} page - Puppeteer page object
+ * @param {string} name - Logical element name
+ * @param {Object} options - Same as findElement
+ * @returns {Promise<ElementHandle>} The clicked element
+ */
+async function clickElement(page, name, options = {}) {
+    const handle = await findElement(page, name, options);
+    await handle.click();
+    return handle;
+}
+
+/**
+ * Summarize the registry with how often each fallback matched since the server started
+ * @returns {Object} { version, updated, loadedAt, elements }
+ */
+function getSelectorReport() {
+    const current = getRegistry();
+    const elements = {};
+    for (const [name, fallbacks] of Object.entries(current.selectors)) {
+        elements[name] = fallbacks.map(selector => ({
+            selector,
+            hits: matchStats[name] && matchStats[name][selector] ? matchStats[name][selector].hits : 0,
+            lastMatchedAt: matchStats[name] && matchStats[name][selector] ? matchStats[name][selector].lastMatchedAt : null
+        }));
+    }
+    return {
+        version: current.version,
+        updated: current.updated,
+        loadedAt: current.loadedAt,
+        elements
+    };
+}
+
+// Get the registry with per-fallback match counts (fallbacks that never match can be retired)
+router.get('/selectors', (req, res) => {
+    try {
+        res.json({ success: true, ...getSelectorReport() });
+    } catch (error) {
+        console.error('❌ Error reading selectors:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Reload selectors.json now and report any error in it
+router.post('/selectors/reload', (req, res) => {
+    try {
+        const loaded = reloadSelectors();
+        res.json({
+            success: true,
+            message: `Selector registry v${loaded.version} loaded`,
+            version: loaded.version
+        });
+    } catch (error) {
+        console.error('❌ Error reloading selectors:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+module.exports = {
+    getSelectors,
+    getSelectorNames,
+    findElement,
+    matchElement,
+    queryElement,
+    clickElement,
+    reloadSelectors,
+    getSelectorReport,
+    SelectorNotFoundError,
+    // Express router for the /api/selectors routes
+    router
+};
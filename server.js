@@ -1,9 +1,20 @@
 const express = require('express');
 const path = require('path');
-const fs = require('fs');
 const uploadRouter = require('./upload');
 const { router: videosRouter } = require('./videos');
-const { downloadYouTubeVideo, getVideoInfo } = require('./youtube-downloader');
+const { readVideosData, addVideo } = require('./videoLibrary');
+const { getVideoInfo } = require('./youtube-downloader');
+const { enqueueJob, getQueuePosition, startJobQueue, router: jobsRouter } = require('./jobQueue');
+const { getLastReconciliation, router: editorsRouter } = require('./editors');
+const { resolveRecipe, router: recipesRouter } = require('./recipes');
+const { router: mockEditorRouter } = require('./mockEditor');
+const { router: selectorsRouter } = require('./selectors');
+const { router: editorHealthRouter } = require('./editorHealth');
+const { appendProgress, router: debugBundleRouter } = require('./debugBundle');
+const { getBrowserStatus } = require('./browserManager');
+const { readAccounts, router: accountsRouter } = require('./accounts');
+const { getSessionStatus, startSessionMonitor, router: sessionCookiesRouter } = require('./sessionCookies');
+const { startEditorProvisioner, getProvisionerStatus } = require('./editorProvisioner');
 require('dotenv').config();
 
 const app = express();
@@ -17,17 +28,13 @@ app.use(express.json());
 
 // Serve videos.json file
 app.get('/videos.json', (req, res) => {
-    const videosJsonPath = path.join(__dirname, 'videos.json');
-    if (fs.existsSync(videosJsonPath)) {
-        res.sendFile(videosJsonPath);
-    } else {
-        res.json({ videos: [] }); // Return empty array if file doesn't exist
-    }
+    res.json(readVideosData()); // Empty list if the file doesn't exist
 });
 
 // Server-Sent Events for progress updates
 const progressClients = new Set();
 
+// Optional ?jobId= limits the stream to a single job's events
 app.get('/progress', (req, res) => {
     res.writeHead(200, {
         'Content-Type': 'text/event-stream',
@@ -36,27 +43,41 @@ app.get('/progress', (req, res) => {
         'Access-Control-Allow-Origin': '*'
     });
     
-    progressClients.add(res);
+    const client = { res, jobId: req.query.jobId || null };
+    progressClients.add(client);
     
     req.on('close', () => {
-        progressClients.delete(res);
+        progressClients.delete(client);
     });
 });
 
-// Function to broadcast progress to all connected clients
-function broadcastProgress(message) {
-    const data = `data: ${JSON.stringify({ message, timestamp: new Date().toISOString() })}\n\n`;
+// Write an SSE event to every client subscribed to the given job (or to all jobs)
+function sendToProgressClients(payload, jobId) {
+    const data = `data: ${JSON.stringify(payload)}\n\n`;
     progressClients.forEach(client => {
+        if (client.jobId && jobId && client.jobId !== jobId) return;
         try {
-            client.write(data);
+            client.res.write(data);
         } catch (err) {
             progressClients.delete(client);
         }
     });
 }
 
+// Function to broadcast progress to all connected clients; job messages are also kept for the job inspector
+function broadcastProgress(message, jobId = null) {
+    if (jobId) appendProgress(jobId, message);
+    sendToProgressClients({ message, jobId, timestamp: new Date().toISOString() }, jobId);
+}
+
+// Function to push job state changes to all connected clients
+function broadcastJobUpdate(job) {
+    sendToProgressClients({ job, jobId: job.id, timestamp: new Date().toISOString() }, job.id);
+}
+
 // Make broadcastProgress available globally
 global.broadcastProgress = broadcastProgress;
+global.broadcastJobUpdate = broadcastJobUpdate;
 
 // Use the upload router for /upload POST requests
 app.use('/upload', uploadRouter);
@@ -64,11 +85,43 @@ app.use('/upload', uploadRouter);
 // Use the videos router for /api/videos requests
 app.use('/api', videosRouter);
 
+// Use the jobs router for /api/jobs requests
+app.use('/api', jobsRouter);
+
+// Use the recipes router for /api/recipes requests
+app.use('/api', recipesRouter);
+
+// Use the selectors router for /api/selectors requests
+app.use('/api', selectorsRouter);
+
+// Use the editors router for /api/editors requests (editor pool management)
+app.use('/api', editorsRouter);
+
+// Use the editor health router for /api/editors/:id/health requests
+app.use('/api', editorHealthRouter);
+
+// Use the debug bundle router for /api/jobs/:id/debug requests
+app.use('/api', debugBundleRouter);
+
+// Use the accounts router for /api/accounts requests
+app.use('/api', accountsRouter);
+
+// Use the session cookies router for /api/accounts/:id/cookies and /api/accounts/:id/session requests
+app.use('/api', sessionCookiesRouter);
+
+// Use the mock editor router for /mock-capcut requests (simulated CapCut editor)
+app.use('/mock-capcut', mockEditorRouter);
+
 // Serve the videos page
 app.get('/videos', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'videos.html'));
 });
 
+// Serve the job inspector page (job list, or one job's steps, screenshots and log)
+app.get(['/jobs', '/jobs/:id'], (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'jobs.html'));
+});
+
 // YouTube download routes
 app.post('/youtube/info', async (req, res) => {
     try {
@@ -94,48 +147,42 @@ app.post('/youtube/info', async (req, res) => {
     }
 });
 
-app.post('/youtube/download', async (req, res) => {
+app.post('/youtube/download', (req, res) => {
     try {
         const { url } = req.body;
         if (!url) {
             return res.status(400).json({ success: false, message: 'YouTube URL is required' });
         }
 
-        broadcastProgress('🚀 Starting YouTube video download...');
-        
-        // Download the video with progress updates
-        const downloadedPath = await downloadYouTubeVideo(url, (progress) => {
-            broadcastProgress(progress);
-        });
-
-        // Start automation pipeline after download
-        broadcastProgress('📤 Starting CapCut automation pipeline...');
-        console.log('🔍 DEBUG: Downloaded file path:', downloadedPath);
-        console.log('🔍 DEBUG: File exists:', fs.existsSync(downloadedPath));
-        
-        // Check editor availability before starting
-        const editorsPath = path.join(__dirname, 'editors.json');
-        const editors = JSON.parse(fs.readFileSync(editorsPath, 'utf-8'));
-        const availableEditors = editors.filter(editor => editor.status === 'available');
-        console.log('🔍 DEBUG: Available editors:', availableEditors.length, '/', editors.length);
-        
-        if (availableEditors.length === 0) {
-            console.log('❌ DEBUG: No editors available! This will block automation.');
-            console.log('📊 DEBUG: Editor statuses:', editors.map(e => ({url: e.url.substring(0, 50) + '...', status: e.status})));
+        let recipe;
+        try {
+            recipe = resolveRecipe(req.body.recipe);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
         }
-        
-        // Import and run the automation
-        console.log('🚀 DEBUG: About to call runAutomationPipeline...');
-        const { runAutomationPipeline } = require('./timeline_test');
-        await runAutomationPipeline(downloadedPath);
-        
-        res.json({ 
+
+        // The video is in the library (as queued) from now on; the download fills in its file and title
+        const video = addVideo({ name: url, url, status: 'queued' });
+
+        // Download and automation run as one queued job, so busy editors never reject the request
+        const job = enqueueJob('youtube', { url, videoId: video.id, recipe });
+        const position = getQueuePosition(job.id);
+        broadcastProgress(position > 1
+            ? `⏳ YouTube job queued at position ${position}, waiting for a free editor...`
+            : '🚀 YouTube job queued, starting shortly...');
+
+        // Respond right away; clients poll /api/jobs/:id or listen on /progress for updates
+        res.status(202).json({ 
             success: true, 
-            message: 'Video downloaded and automation started',
-            filePath: downloadedPath
+            message: 'YouTube download and automation queued',
+            jobId: job.id,
+            videoId: video.id,
+            recipe: recipe.id,
+            queuePosition: position,
+            statusUrl: `/api/jobs/${job.id}`
         });
     } catch (error) {
-        console.error('Error downloading video:', error);
+        console.error('Error queueing YouTube download:', error);
         broadcastProgress(`❌ Download failed: ${error.message}`);
         res.status(500).json({ 
             success: false, 
@@ -144,12 +191,15 @@ app.post('/youtube/download', async (req, res) => {
     }
 });
 
-// Status check now checks the filesystem for the puppeteer_data directory.
+// Status check reports each account's CapCut session, judged by the expiry of its session cookies.
 app.get('/status', (req, res) => {
-    const puppeteerDataPath = path.join(__dirname, 'puppeteer_data');
-    const isLoggedIn = fs.existsSync(puppeteerDataPath);
-    console.log(`Checking for login status via filesystem. Path: '${puppeteerDataPath}'. Found: ${isLoggedIn}`);
-    res.json({ loggedIn: isLoggedIn });
+    const accounts = readAccounts().accounts.map(account => {
+        const session = getSessionStatus(account);
+        return { id: account.id, loggedIn: session.valid, session };
+    });
+    const isLoggedIn = accounts.every(account => account.loggedIn);
+    console.log(`Checking login status from session cookies: ${accounts.map(account => `${account.id}=${account.session.status}`).join(', ')}`);
+    res.json({ loggedIn: isLoggedIn, accounts, editorReconciliation: getLastReconciliation(), browsers: getBrowserStatus(), provisioner: getProvisionerStatus() });
 });
 
 app.post('/login', async (req, res) => {
@@ -174,6 +224,15 @@ app.post('/create-video', async (req, res) => {
 const server = app.listen(port, () => {
     console.log(`Server is running on http://localhost:${port}`);
     console.log('Open your browser and navigate to the URL to start.');
+
+    // Release editors stuck from a previous crash and resume any jobs that were queued or running
+    startJobQueue();
+
+    // Warn over /progress before a CapCut session expires
+    startSessionMonitor();
+
+    // Retire idle auto-provisioned drafts (when EDITOR_AUTO_PROVISION is on)
+    startEditorProvisioner();
 });
 
 // --- Graceful Shutdown ---
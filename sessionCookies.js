@@ -0,0 +1,350 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { readAccounts, getAccount, getProfileDir } = require('./accounts');
+const { getBrowserCookies, setBrowserCookies } = require('./browserManager');
+const { broadcastProgress } = require('./jobQueue'); // Session messages are not tied to a job, so they go to every client
+const { readJson, updateJson } = require('./jsonStore');
+
+// Last known CapCut session of each account, read from its browser (so /status works while Chrome is closed)
+const SESSIONS_PATH = path.join(__dirname, 'sessions.json');
+
+// Only cookies for this domain (and its subdomains) are imported
+const COOKIE_DOMAIN = 'capcut.com';
+
+// Cookies that carry the CapCut login; the session ends when the first of them expires
+const SESSION_COOKIE_NAMES = ['sessionid', 'sid_tt', 'sid_guard'];
+
+// Warn this many days before a session expires
+const EXPIRY_WARNING_DAYS = Math.max(1, parseInt(process.env.SESSION_EXPIRY_WARNING_DAYS, 10) || 7);
+
+// How often running browsers are asked for their cookies and expiry warnings are sent
+const SESSION_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Repeat an expiry warning at most this often per account
+const WARNING_REPEAT_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Chrome extension exports use these sameSite values; "unspecified" leaves the browser default
+const SAME_SITE_VALUES = { no_restriction: 'None', lax: 'Lax', strict: 'Strict' };
+
+// Create router for session cookie API routes
+const router = express.Router();
+
+// When each account was last warned about, and for which status: accountId -> { status, at }
+const lastWarnings = new Map();
+
+let sessionCheckTimer = null;
+
+/**
+ * Error for a cookie file that cannot be imported (bad format, wrong domain, expired session)
+ */
+class CookieFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CookieFileError';
+    }
+}
+
+/**
+ * Check whether a cookie domain belongs to CapCut
+ * @param {string} domain - Cookie domain, e.g. ".capcut.com" or "www.capcut.com"
+ * @returns {boolean} True for capcut.com and its subdomains
+ */
+function isCapCutDomain(domain) {
+    const host = String(domain || '').replace(/^\./, '').toLowerCase();
+    return host === COOKIE_DOMAIN || host.endsWith(`.${COOKIE_DOMAIN}`);
+}
+
+/**
+ * Check and convert a cookie export (Chrome extension format, e.g. cookies.json) into browser cookies.
+ * Cookies for other domains and cookies that have already expired are left out and reported.
+ * @param {Array|Object} data - Parsed cookie file: an array of cookies, or { cookies: [...] }
+ * @returns {Object} { cookies: CDP cookie params, rejected: [{ name, domain, reason }] }
+ */
+function parseCookieFile(data) {
+    const entries = Array.isArray(data) ? data : data && data.cookies;
+    if (!Array.isArray(entries)) {
+        throw new CookieFileError('Cookie file must be a JSON array of cookies (Chrome extension export format)');
+    }
+
+    const now = Date.now() / 1000;
+    const cookies = [];
+    const rejected = [];
+    for (const entry of entries) {
+        const { name, value, domain } = entry || {};
+        if (typeof name !== 'string' || typeof value !== 'string' || typeof domain !== 'string') {
+            rejected.push({ name: name || null, domain: domain || null, reason: 'missing name, value or domain' });
+            continue;
+        }
+        if (!isCapCutDomain(domain)) {
+            rejected.push({ name, domain, reason: `not a ${COOKIE_DOMAIN} cookie` });
+            continue;
+        }
+
+        const expires = entry.session || !entry.expirationDate ? null : Number(entry.expirationDate);
+        if (expires !== null && !(expires > now)) {
+            rejected.push({ name, domain, reason: `expired ${new Date(expires * 1000).toISOString()}` });
+            continue;
+        }
+
+        const cookiePath = entry.path || '/';
+        const cookie = { name, value, path: cookiePath, secure: Boolean(entry.secure), httpOnly: Boolean(entry.httpOnly) };
+        if (entry.hostOnly) {
+            // A host-only cookie is set through its URL; giving a domain would widen it to subdomains
+            cookie.url = `https://${domain}${cookiePath}`;
+        } else {
+            cookie.domain = domain;
+        }
+        if (SAME_SITE_VALUES[entry.sameSite]) {
+            cookie.sameSite = SAME_SITE_VALUES[entry.sameSite];
+        }
+        if (expires !== null) {
+            cookie.expires = expires;
+        }
+        cookies.push(cookie);
+    }
+
+    return { cookies, rejected };
+}
+
+/**
+ * Summarise the CapCut login held by a set of cookies
+ * @param {Array<Object>} cookies - Browser cookies (expires in seconds, -1 or missing for browser-session cookies)
+ * @param {string} source - Where the cookies came from: 'import' or 'browser'
+ * @returns {Object} Session snapshot: { source, checkedAt, cookieCount, sessionCookies: [{ name, expiresAt }], expiresAt }
+ */
+function describeSession(cookies, source) {
+    const capcutCookies = cookies.filter(cookie => isCapCutDomain(cookie.domain || (cookie.url && new URL(cookie.url).hostname)));
+    const sessionCookies = capcutCookies
+        .filter(cookie => SESSION_COOKIE_NAMES.includes(cookie.name))
+        .map(cookie => ({
+            name: cookie.name,
+            expiresAt: cookie.expires > 0 ? new Date(cookie.expires * 1000).toISOString() : null
+        }));
+
+    const expiries = sessionCookies.map(cookie => cookie.expiresAt).filter(Boolean).sort();
+    return {
+        source,
+        checkedAt: new Date().toISOString(),
+        cookieCount: capcutCookies.length,
+        sessionCookies,
+        expiresAt: expiries[0] || null
+    };
+}
+
+/**
+ * Read the saved session snapshots
+ * @returns {Object} accountId -> snapshot from describeSession
+ */
+function readSessions() {
+    try {
+        return readJson(SESSIONS_PATH, {});
+    } catch (error) {
+        console.error('❌ Failed to read sessions.json:', error.message);
+        return {};
+    }
+}
+
+/**
+ * Save an account's session snapshot
+ * @param {string} accountId - Account ID
+ * @param {Object} snapshot - Snapshot from describeSession
+ */
+function saveSession(accountId, snapshot) {
+    updateJson(SESSIONS_PATH, {}, sessions => {
+        sessions[accountId] = snapshot;
+    }, { indent: 4 });
+}
+
+/**
+ * Judge a session snapshot against the current time
+ * @param {Object|null} snapshot - Snapshot from describeSession
+ * @returns {Object} { status: 'valid'|'expiring'|'expired'|'missing', valid, expiresAt, expiresInDays }
+ */
+function evaluateSession(snapshot) {
+    if (!snapshot || snapshot.sessionCookies.length === 0) {
+        return { status: 'missing', valid: false, expiresAt: null, expiresInDays: null };
+    }
+    // Only browser-session cookies: valid until Chrome restarts
+    if (!snapshot.expiresAt) {
+        return { status: 'valid', valid: true, expiresAt: null, expiresInDays: null };
+    }
+
+    const expiresInDays = (Date.parse(snapshot.expiresAt) - Date.now()) / (24 * 60 * 60 * 1000);
+    let status = 'valid';
+    if (expiresInDays <= 0) {
+        status = 'expired';
+    } else if (expiresInDays <= EXPIRY_WARNING_DAYS) {
+        status = 'expiring';
+    }
+    return { status, valid: expiresInDays > 0, expiresAt: snapshot.expiresAt, expiresInDays: Math.round(expiresInDays * 10) / 10 };
+}
+
+/**
+ * Get an account's session status from its last snapshot (does not touch the browser)
+ * @param {Object} account - Account object from accounts.json
+ * @returns {Object} Result of evaluateSession plus { checkedAt, source, hasProfile };
+ *   status is 'unknown' when the profile exists but its cookies were never read
+ */
+function getSessionStatus(account) {
+    const snapshot = readSessions()[account.id] || null;
+    const hasProfile = fs.existsSync(getProfileDir(account));
+    const session = evaluateSession(snapshot);
+    if (!snapshot && hasProfile) {
+        session.status = 'unknown';
+    }
+    return {
+        ...session,
+        checkedAt: snapshot ? snapshot.checkedAt : null,
+        source: snapshot ? snapshot.source : null,
+        hasProfile
+    };
+}
+
+/**
+ * Read an account's cookies from its browser, if it is running, and save the snapshot
+ * @param {string} accountId - Account ID
+ * @returns {Promise<boolean>} True if the browser was running and the snapshot was refreshed
+ */
+async function refreshSession(accountId) {
+    const cookies = await getBrowserCookies(accountId);
+    if (!cookies) {
+        return false;
+    }
+    saveSession(accountId, describeSession(cookies, 'browser'));
+    return true;
+}
+
+/**
+ * Import a cookie export into an account's browser profile
+ * @param {string} accountId - Account ID (the default account when omitted)
+ * @param {Array|Object} data - Parsed cookie file
+ * @returns {Promise<Object>} { account, imported, rejected, session }
+ */
+async function importCookies(accountId, data) {
+    const account = getAccount(accountId || readAccounts().default);
+    if (!account) {
+        throw new CookieFileError(`Unknown account "${accountId}" (not in accounts.json)`);
+    }
+
+    const { cookies, rejected } = parseCookieFile(data);
+    if (!evaluateSession(describeSession(cookies, 'import')).valid) {
+        throw new CookieFileError(`The cookie file has no unexpired CapCut session cookie (${SESSION_COOKIE_NAMES.join(', ')}); log in again and export a new one`);
+    }
+
+    await setBrowserCookies(account.id, cookies);
+
+    // Read back what the browser kept, so the snapshot shows the real session
+    const stored = await getBrowserCookies(account.id);
+    saveSession(account.id, describeSession(stored || cookies, 'import'));
+    lastWarnings.delete(account.id);
+
+    const session = getSessionStatus(account);
+    broadcastProgress(`🍪 Imported ${cookies.length} CapCut cookie(s) into account "${account.id}"${rejected.length ? ` (${rejected.length} skipped)` : ''}; session valid until ${session.expiresAt || 'the browser restarts'}`, { allClients: true });
+    return { account: account.id, imported: cookies.length, rejected, session };
+}
+
+/**
+ * Refresh the sessions of running browsers and warn about sessions that expire soon or have expired
+ * @returns {Promise<Array<Object>>} [{ account, ...getSessionStatus }]
+ */
+async function checkSessions() {
+    const results = [];
+    for (const account of readAccounts().accounts) {
+        try {
+            await refreshSession(account.id);
+        } catch (error) {
+            console.log(`⚠️ Could not read cookies of account "${account.id}": ${error.message}`);
+        }
+
+        const session = getSessionStatus(account);
+        results.push({ account: account.id, ...session });
+        if (session.status !== 'expiring' && session.status !== 'expired') {
+            continue;
+        }
+
+        const last = lastWarnings.get(account.id);
+        if (last && last.status === session.status && Date.now() - last.at < WARNING_REPEAT_INTERVAL) {
+            continue;
+        }
+        lastWarnings.set(account.id, { status: session.status, at: Date.now() });
+        broadcastProgress(session.status === 'expired'
+            ? `⚠️ CapCut session of account "${account.id}" expired on ${session.expiresAt}; import fresh cookies or log in again`
+            : `⚠️ CapCut session of account "${account.id}" expires in ${session.expiresInDays} day(s) (${session.expiresAt}); import fresh cookies soon`, { allClients: true });
+    }
+    return results;
+}
+
+/**
+ * Check sessions now and then every SESSION_CHECK_INTERVAL
+ */
+function startSessionMonitor() {
+    const check = () => checkSessions().catch(error => console.error('❌ Session check failed:', error.message));
+    check();
+    if (!sessionCheckTimer) {
+        sessionCheckTimer = setInterval(check, SESSION_CHECK_INTERVAL);
+        sessionCheckTimer.unref();
+    }
+}
+
+// ==================== API ROUTES ====================
+
+// Import a cookie export (JSON array in Chrome extension format) into an account's browser profile
+router.post('/accounts/:id/cookies', async (req, res) => {
+    if (!getAccount(req.params.id)) {
+        return res.status(404).json({ success: false, message: `Account not found: ${req.params.id}` });
+    }
+
+    try {
+        const result = await importCookies(req.params.id, req.body);
+        res.json({ success: true, message: `Imported ${result.imported} cookie(s)`, ...result });
+    } catch (error) {
+        console.error('❌ Cookie import failed:', error.message);
+        res.status(error instanceof CookieFileError ? 400 : 500).json({ success: false, message: error.message });
+    }
+});
+
+// Get an account's session, read from its browser if it is running
+router.get('/accounts/:id/session', async (req, res) => {
+    const account = getAccount(req.params.id);
+    if (!account) {
+        return res.status(404).json({ success: false, message: `Account not found: ${req.params.id}` });
+    }
+
+    try {
+        await refreshSession(account.id);
+    } catch (error) {
+        console.log(`⚠️ Could not read cookies of account "${account.id}": ${error.message}`);
+    }
+    res.json({ success: true, account: account.id, session: getSessionStatus(account) });
+});
+
+module.exports = {
+    CookieFileError,
+    parseCookieFile,
+    importCookies,
+    getSessionStatus,
+    checkSessions,
+    startSessionMonitor,
+    // Express router for the /api/accounts/:id/cookies and /api/accounts/:id/session routes
+    router
+};
+
+// CLI: node sessionCookies.js [cookieFile] [accountId] (defaults: cookies.json, the default account)
+if (require.main === module) {
+    (async () => {
+        const [file = 'cookies.json', accountId] = process.argv.slice(2);
+        const { closeBrowsers } = require('./browserManager');
+        let ok = false;
+        try {
+            const result = await importCookies(accountId, JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')));
+            result.rejected.forEach(cookie => console.log(`   ⏭️ ${cookie.name} (${cookie.domain}): ${cookie.reason}`));
+            console.log(`✅ Session of account "${result.account}": ${result.session.status}, expires ${result.session.expiresAt || 'when the browser restarts'}`);
+            ok = true;
+        } catch (error) {
+            console.error(`❌ Could not import ${file}: ${error.message}`);
+        }
+        await closeBrowsers();
+        process.exit(ok ? 0 : 1);
+    })();
+}
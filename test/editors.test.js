@@ -0,0 +1,153 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { useMemoryStore } = require('./memoryStore');
+
+const EDITORS_PATH = path.join(__dirname, '..', 'editors.json');
+const docs = useMemoryStore();
+const editors = require('../editors');
+
+const FIRST = 'https://www.capcut.com/editor/AAAA-1111?enter_from=draft';
+const SECOND = 'https://www.capcut.com/editor/BBBB-2222?enter_from=draft';
+
+/**
+ * Lease that another process holds, expiring the given number of milliseconds from now
+ * @param {string} holder - Lease holder
+ * @param {number} expiresIn - Milliseconds until it expires (negative for an expired lease)
+ * @returns {Object} Lease
+ */
+function leaseOf(holder, expiresIn) {
+    return { jobId: holder, holder, pid: process.pid + 1, expiresAt: new Date(Date.now() + expiresIn).toISOString() };
+}
+
+function storedEditor(url) {
+    return docs.get(EDITORS_PATH).find(editor => editor.url === url);
+}
+
+beforeEach(() => {
+    docs.set(EDITORS_PATH, [
+        { url: FIRST, status: 'available' },
+        { url: SECOND, status: 'available' }
+    ]);
+});
+
+test('claimEditor gives the job a lease and skips reserved editors', () => {
+    const claimed = editors.claimEditor('job-1', { avoid: [FIRST] });
+
+    assert.strictEqual(claimed.url, SECOND);
+    const stored = storedEditor(SECOND);
+    assert.strictEqual(stored.status, 'in-use');
+    assert.strictEqual(stored.jobId, 'job-1');
+    assert.strictEqual(stored.lease.holder, 'job-1');
+    assert.strictEqual(stored.lease.pid, process.pid);
+    assert.ok(Date.parse(stored.lease.expiresAt) > Date.now());
+    assert.strictEqual(storedEditor(FIRST).status, 'available');
+});
+
+test('claimEditor returns null when every editor is taken', () => {
+    assert.ok(editors.claimEditor('job-1'));
+    assert.ok(editors.claimEditor('job-2'));
+    assert.strictEqual(editors.claimEditor('job-3'), null);
+});
+
+test('claimEditor with a holder keeps the job the draft last ran', () => {
+    docs.get(EDITORS_PATH)[0].lastJobId = 'job-0';
+    editors.claimEditor(null, { url: FIRST, holder: 'health:AAAA-1111' });
+
+    const stored = storedEditor(FIRST);
+    assert.strictEqual(stored.jobId, undefined);
+    assert.strictEqual(stored.lastJobId, 'job-0');
+    assert.strictEqual(stored.lease.holder, 'health:AAAA-1111');
+});
+
+test('reclaimExpiredLeases frees editors whose lease ran out or is missing', () => {
+    docs.set(EDITORS_PATH, [
+        { url: FIRST, status: 'in-use', jobId: 'job-1', lease: leaseOf('job-1', -1000) },
+        { url: SECOND, status: 'in-use', jobId: 'job-2' },
+        { url: 'https://www.capcut.com/editor/CCCC-3333', status: 'in-use', jobId: 'job-3', lease: leaseOf('job-3', 60000) }
+    ]);
+
+    const reclaimed = editors.reclaimExpiredLeases();
+
+    assert.deepStrictEqual(reclaimed.map(editor => editor.jobId), ['job-1', 'job-2']);
+    assert.strictEqual(storedEditor(FIRST).status, 'available');
+    assert.strictEqual(storedEditor(FIRST).lease, undefined);
+    assert.strictEqual(storedEditor(FIRST).lastJobId, 'job-1');
+    assert.strictEqual(storedEditor(SECOND).status, 'available');
+    assert.strictEqual(storedEditor('https://www.capcut.com/editor/CCCC-3333').status, 'in-use');
+});
+
+test('reclaimExpiredLeases leaves editors.json alone when no lease expired', () => {
+    const before = docs.get(EDITORS_PATH);
+    assert.deepStrictEqual(editors.reclaimExpiredLeases(), []);
+    assert.strictEqual(docs.get(EDITORS_PATH), before);
+});
+
+test('a job cannot release an editor whose lease passed to another job', async () => {
+    docs.set(EDITORS_PATH, [{ url: FIRST, status: 'in-use', jobId: 'job-2', lease: leaseOf('job-2', 60000) }]);
+
+    await editors.updateEditorStatus(FIRST, 'available', 'job-1');
+    assert.strictEqual(storedEditor(FIRST).status, 'in-use');
+    assert.strictEqual(storedEditor(FIRST).jobId, 'job-2');
+
+    await editors.updateEditorStatus(FIRST, 'available', 'job-2');
+    assert.strictEqual(storedEditor(FIRST).status, 'available');
+});
+
+test('releaseEditor releases only while the holder still has the lease', () => {
+    editors.claimEditor(null, { url: FIRST, holder: 'health:AAAA-1111' });
+    assert.strictEqual(editors.releaseEditor(FIRST, 'health:AAAA-1111'), true);
+    assert.strictEqual(storedEditor(FIRST).status, 'available');
+
+    // The check's lease expired and was reclaimed, then a job claimed the editor
+    editors.claimEditor(null, { url: FIRST, holder: 'health:AAAA-1111' });
+    storedEditor(FIRST).lease.expiresAt = new Date(Date.now() - 1000).toISOString();
+    editors.reclaimExpiredLeases();
+    editors.claimEditor('job-1', { url: FIRST });
+
+    assert.strictEqual(editors.releaseEditor(FIRST, 'health:AAAA-1111'), false);
+    assert.strictEqual(storedEditor(FIRST).status, 'in-use');
+    assert.strictEqual(storedEditor(FIRST).jobId, 'job-1');
+});
+
+test('releaseEditorsForJob releases only the editors of that job', () => {
+    editors.claimEditor('job-1', { url: FIRST });
+    editors.claimEditor('job-2', { url: SECOND });
+
+    assert.strictEqual(editors.releaseEditorsForJob('job-1'), 1);
+    assert.strictEqual(storedEditor(FIRST).status, 'available');
+    assert.strictEqual(storedEditor(FIRST).lastJobId, 'job-1');
+    assert.strictEqual(storedEditor(SECOND).status, 'in-use');
+    assert.strictEqual(editors.releaseEditorsForJob('job-1'), 0);
+});
+
+test('reconcileEditors keeps editors leased by a live process and frees the rest', () => {
+    docs.set(EDITORS_PATH, [
+        { url: FIRST, status: 'in-use', jobId: 'job-1', lease: leaseOf('job-1', 60000) },
+        { url: SECOND, status: 'in-use', jobId: 'job-2', lease: { ...leaseOf('job-2', 60000), pid: process.pid } }
+    ]);
+
+    const recovered = editors.reconcileEditors([]);
+
+    assert.deepStrictEqual(recovered.map(editor => editor.jobId), ['job-2']);
+    assert.strictEqual(storedEditor(FIRST).status, 'in-use');
+    assert.strictEqual(storedEditor(SECOND).status, 'available');
+});
+
+test('the lease heartbeat renews the lease until it is lost', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    editors.claimEditor('job-1', { url: FIRST });
+    const stop = editors.startLeaseHeartbeat(FIRST, 'job-1');
+
+    storedEditor(FIRST).lease.expiresAt = new Date(Date.now() + 1000).toISOString();
+    t.mock.timers.tick(30 * 1000);
+    assert.ok(Date.parse(storedEditor(FIRST).lease.expiresAt) > Date.now() + 1000);
+
+    // Reclaimed and claimed by another job: the old holder stops renewing
+    editors.releaseEditorsForJob('job-1');
+    editors.claimEditor('job-2', { url: FIRST });
+    const lease = storedEditor(FIRST).lease;
+    t.mock.timers.tick(30 * 1000);
+    assert.deepStrictEqual(storedEditor(FIRST).lease, lease);
+    stop();
+});
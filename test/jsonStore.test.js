@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStoreError, readJson, writeJson, updateJson, setStoreBackend } = require('../jsonStore');
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('writeJson replaces the file atomically and readJson reads it back', () => {
+    const filePath = path.join(dir, 'written.json');
+    writeJson(filePath, { editors: [1, 2] }, { indent: 4 });
+
+    assert.deepStrictEqual(readJson(filePath, null), { editors: [1, 2] });
+    assert.match(fs.readFileSync(filePath, 'utf8'), /^ {4}"editors"/m);
+    assert.deepStrictEqual(fs.readdirSync(dir).filter(file => file.endsWith('.tmp')), []);
+});
+
+test('readJson returns the fallback for a missing or empty file', () => {
+    const emptyPath = path.join(dir, 'empty.json');
+    fs.writeFileSync(emptyPath, '  \n');
+
+    assert.deepStrictEqual(readJson(path.join(dir, 'missing.json'), []), []);
+    assert.deepStrictEqual(readJson(emptyPath, { videos: [] }), { videos: [] });
+});
+
+test('a corrupt file is moved aside and read as missing', () => {
+    const filePath = path.join(dir, 'corrupt.json');
+    fs.writeFileSync(filePath, '{ "videos": [');
+
+    assert.deepStrictEqual(readJson(filePath, { videos: [] }), { videos: [] });
+    assert.strictEqual(fs.existsSync(filePath), false);
+    const backups = fs.readdirSync(dir).filter(file => file.startsWith('corrupt.json.corrupt-'));
+    assert.strictEqual(backups.length, 1);
+    assert.strictEqual(fs.readFileSync(path.join(dir, backups[0]), 'utf8'), '{ "videos": [');
+});
+
+test('updateJson writes the change, or nothing when the mutator returns false', () => {
+    const filePath = path.join(dir, 'updated.json');
+
+    updateJson(filePath, [], list => false);
+    assert.strictEqual(fs.existsSync(filePath), false);
+
+    const result = updateJson(filePath, [], list => { list.push('a'); });
+    assert.deepStrictEqual(result, ['a']);
+    assert.deepStrictEqual(readJson(filePath, null), ['a']);
+});
+
+test('updateJson refuses an async mutator without writing', () => {
+    const filePath = path.join(dir, 'async.json');
+    writeJson(filePath, ['a']);
+
+    assert.throws(() => updateJson(filePath, [], async list => { list.push('b'); }), JsonStoreError);
+    assert.deepStrictEqual(readJson(filePath, null), ['a']);
+});
+
+test('a file cannot be written or updated again while it is being updated', () => {
+    const filePath = path.join(dir, 'nested.json');
+
+    assert.throws(() => updateJson(filePath, [], () => updateJson(filePath, [], () => {})), JsonStoreError);
+    assert.throws(() => updateJson(filePath, [], () => writeJson(filePath, [])), JsonStoreError);
+
+    // The failed updates released the file
+    updateJson(filePath, [], list => { list.push('a'); });
+    assert.deepStrictEqual(readJson(filePath, null), ['a']);
+});
+
+test('setStoreBackend refuses a backend without read and write', () => {
+    assert.throws(() => setStoreBackend({ name: 'broken', read: () => undefined }), JsonStoreError);
+});
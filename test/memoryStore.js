@@ -0,0 +1,21 @@
+const { setStoreBackend } = require('../jsonStore');
+
+/**
+ * Keep every JSON document in memory for the rest of the test process, so tests never touch the real state files.
+ * Each test file runs in its own process, so the backend does not leak into other files.
+ * @param {Object} documents - Initial documents, keyed by path
+ * @returns {Map} The documents, keyed by path
+ */
+function useMemoryStore(documents = {}) {
+    const docs = new Map(Object.entries(documents));
+    setStoreBackend({
+        name: 'memory',
+        read: (filePath) => docs.has(filePath) ? structuredClone(docs.get(filePath)) : undefined,
+        write: (filePath, data) => { docs.set(filePath, structuredClone(data)); }
+    });
+    return docs;
+}
+
+module.exports = {
+    useMemoryStore
+};
@@ -0,0 +1,162 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useMemoryStore } = require('./memoryStore');
+
+const docs = useMemoryStore();
+const library = require('../videoLibrary');
+
+// The migrations delete marker files in uploads/, so they run on temporary folders, never the real ones
+const MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'video-library-'));
+const UPLOADS_DIR = path.join(MEDIA_DIR, 'uploads');
+const DOWNLOADS_DIR = path.join(MEDIA_DIR, 'downloads');
+library.setMediaFolders({ uploads: UPLOADS_DIR, downloads: DOWNLOADS_DIR });
+
+/**
+ * Put a file in the temporary uploads/ folder
+ * @param {string} filename - File name
+ * @returns {string} The file name
+ */
+function addUpload(filename) {
+    fs.writeFileSync(path.join(UPLOADS_DIR, filename), '');
+    return filename;
+}
+
+/**
+ * Store an old videos.json and read it through the library, which migrates it
+ * @param {Object} videosData - Old contents of videos.json
+ * @returns {Object} Migrated contents
+ */
+function migrate(videosData) {
+    docs.set(library.VIDEOS_PATH, videosData);
+    return library.readVideosData();
+}
+
+// Every test starts with empty folders, so fixtures of one test never match the records of another
+beforeEach(() => {
+    docs.clear();
+    fs.rmSync(UPLOADS_DIR, { recursive: true, force: true });
+    fs.rmSync(DOWNLOADS_DIR, { recursive: true, force: true });
+    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+    fs.mkdirSync(DOWNLOADS_DIR, { recursive: true });
+});
+
+after(() => {
+    fs.rmSync(MEDIA_DIR, { recursive: true, force: true });
+});
+
+test('version 1 records get IDs and are linked to their source file by name', () => {
+    const filename = addUpload('clip.mp4');
+    const name = path.basename(filename, '.mp4');
+
+    const { videos } = migrate({ videos: [{ name, description: '', status: 'downloaded', timestamp: 1755189664843 }] });
+
+    const video = videos.find(record => record.filename === filename);
+    assert.match(video.id, /^[0-9a-f-]{36}$/);
+    assert.deepStrictEqual(video.jobIds, []);
+    assert.strictEqual(video.createdAt, new Date(1755189664843).toISOString());
+    assert.strictEqual(library.getVideo(video.id).filename, filename);
+});
+
+test('version 1 records for the same file are merged: newest status, first non-empty description', () => {
+    const filename = addUpload('duplicate.mp4');
+    const name = path.basename(filename, '.mp4');
+
+    const { videos } = migrate({ videos: [
+        { name, description: '', status: 'downloaded', timestamp: 2000 },
+        { name, description: 'First description', status: 'processed', timestamp: 3000 },
+        { name, description: 'Second description', status: 'rmbg', timestamp: 1000 }
+    ] });
+
+    assert.strictEqual(videos.length, 1);
+    assert.strictEqual(videos[0].filename, filename);
+    assert.strictEqual(videos[0].status, 'complete');
+    assert.strictEqual(videos[0].description, 'First description');
+    assert.strictEqual(videos[0].createdAt, new Date(1000).toISOString());
+});
+
+test('version 1 records with the same title but different files stay separate', () => {
+    const first = addUpload('1755189664843_same title.mp4');
+    const second = addUpload('1755189796761_same title.mp4');
+
+    const { videos } = migrate({ videos: [
+        { name: 'same title', status: 'downloaded', timestamp: 1755189664843, filename: first },
+        { name: 'same title', status: 'downloaded', timestamp: 1755189796761, filename: second }
+    ] });
+
+    assert.deepStrictEqual(videos.map(record => record.filename), [first, second]);
+    assert.notStrictEqual(videos[0].id, videos[1].id);
+});
+
+test('the old file is saved before migrating', () => {
+    const old = { videos: [{ name: 'gone', status: 'downloaded' }] };
+    migrate(old);
+
+    assert.deepStrictEqual(docs.get(path.join(__dirname, '..', 'videos.v1-backup.json')), old);
+});
+
+test('version 2 statuses become lifecycle states and marker files are folded in', () => {
+    const marked = addUpload('marked.mp4');
+    const markerPath = path.join(UPLOADS_DIR, `${path.basename(marked, '.mp4')}_rmbg.marker`);
+    fs.writeFileSync(markerPath, '');
+    const cancelled = addUpload('cancelled.mp4');
+
+    const { version, videos } = migrate({ version: 2, videos: [
+        { id: 'marked', name: 'marked', status: 'downloaded', filename: marked, outputs: [] },
+        { id: 'cancelled', name: 'cancelled', status: 'cancelled', filename: cancelled, outputs: [] },
+        { id: 'gone', name: 'gone', status: 'processed', filename: 'gone.mp4', outputs: [] }
+    ] });
+
+    assert.ok(version >= 3);
+    const statusOf = id => videos.find(record => record.id === id).status;
+    assert.strictEqual(statusOf('marked'), 'background-removed');
+    assert.strictEqual(fs.existsSync(markerPath), false);
+    assert.strictEqual(statusOf('cancelled'), 'cancelled');
+    assert.strictEqual(statusOf('gone'), 'archived');
+});
+
+test('a source file without a record gets one when migrating to version 3', () => {
+    const untracked = addUpload('untracked.mp4');
+
+    const { videos } = migrate({ version: 2, videos: [] });
+
+    const video = videos.find(record => record.filename === untracked);
+    assert.strictEqual(video.status, 'downloaded');
+    assert.strictEqual(video.name, path.basename(untracked, '.mp4'));
+});
+
+test('version 3 records without a history get one that starts at their state', () => {
+    const history = [{ at: '2026-01-01T00:00:00.000Z', from: null, to: 'downloaded', actor: 'api', jobId: null, step: null, error: null }];
+
+    const { version, videos } = migrate({ version: 3, videos: [
+        { id: 'old', name: 'old', status: 'complete', createdAt: '2026-01-01T00:00:00.000Z', statusUpdatedAt: '2026-01-02T00:00:00.000Z' },
+        { id: 'new', name: 'new', status: 'downloaded', createdAt: '2026-01-01T00:00:00.000Z', history }
+    ] });
+
+    assert.strictEqual(version, 4);
+    assert.deepStrictEqual(videos.find(record => record.id === 'old').history, [
+        { at: '2026-01-02T00:00:00.000Z', from: null, to: 'complete', actor: 'migration', jobId: null, step: null, error: null }
+    ]);
+    assert.deepStrictEqual(videos.find(record => record.id === 'new').history, history);
+});
+
+test('records migrated from version 2 start their history with their old status', () => {
+    const source = addUpload('history.mp4');
+
+    const { videos } = migrate({ version: 2, videos: [{ id: 'filed', name: 'filed', status: 'filed', filename: source, outputs: [] }] });
+
+    const [entry] = videos.find(record => record.id === 'filed').history;
+    assert.strictEqual(entry.from, 'filed');
+    assert.strictEqual(entry.to, 'background-removed');
+    assert.strictEqual(entry.actor, 'migration');
+});
+
+test('addVideo keeps the record a file already has', () => {
+    const first = library.addVideo({ name: 'clip', filename: 'clip.mp4' });
+    const again = library.addVideo({ name: 'clip again', filename: 'clip.mp4' });
+
+    assert.strictEqual(again.id, first.id);
+    assert.strictEqual(library.findVideoByFile('clip.mp4').name, 'clip');
+});
@@ -0,0 +1,121 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useMemoryStore } = require('./memoryStore');
+
+const docs = useMemoryStore();
+const { VIDEOS_PATH, addVideo, getVideo } = require('../videoLibrary');
+const lifecycle = require('../videoLifecycle');
+
+beforeEach(() => {
+    docs.clear();
+});
+
+test('every transition leads to a known state', () => {
+    assert.deepStrictEqual(Object.keys(lifecycle.TRANSITIONS).sort(), [...lifecycle.VIDEO_STATES].sort());
+    for (const [from, targets] of Object.entries(lifecycle.TRANSITIONS)) {
+        targets.forEach(to => assert.ok(lifecycle.VIDEO_STATES.includes(to), `${from} → ${to}`));
+    }
+    assert.deepStrictEqual(lifecycle.TRANSITIONS.archived, []);
+});
+
+test('older statuses map to lifecycle states', () => {
+    assert.strictEqual(lifecycle.toLifecycleState('filed'), 'background-removed');
+    assert.strictEqual(lifecycle.toLifecycleState('rmbg'), 'background-removed');
+    assert.strictEqual(lifecycle.toLifecycleState('processed'), 'complete');
+    assert.strictEqual(lifecycle.toLifecycleState('cancelled'), 'cancelled');
+    assert.strictEqual(lifecycle.toLifecycleState('exporting'), 'exporting');
+    assert.strictEqual(lifecycle.toLifecycleState('nonsense'), null);
+});
+
+test('a job takes a video from queued to complete', () => {
+    const { id } = addVideo({ name: 'clip', status: 'queued' });
+
+    for (const state of ['processing', 'background-removed', 'exporting', 'complete']) {
+        lifecycle.transitionVideo(id, state, { actor: 'pipeline', jobId: 'job-1' });
+    }
+
+    const video = getVideo(id);
+    assert.strictEqual(video.status, 'complete');
+    assert.strictEqual(video.statusUpdatedAt, video.history[video.history.length - 1].at);
+});
+
+test('an illegal move throws and leaves the video unchanged', () => {
+    const { id } = addVideo({ name: 'clip', status: 'downloaded' });
+
+    assert.throws(() => lifecycle.transitionVideo(id, 'complete'), lifecycle.VideoStateError);
+    assert.throws(() => lifecycle.transitionVideo(id, 'rendering'), lifecycle.VideoStateError);
+    assert.strictEqual(getVideo(id).status, 'downloaded');
+    assert.strictEqual(getVideo(id).history.length, 1);
+});
+
+test('a video cannot skip the steps in between', () => {
+    const jumps = [
+        ['queued', 'background-removed'],
+        ['queued', 'complete'],
+        ['downloading', 'processing'],
+        ['processing', 'complete'],
+        ['background-removed', 'complete'],
+        ['exporting', 'downloaded'],
+        ['exporting', 'background-removed'],
+        ['complete', 'processing'],
+        ['archived', 'queued']
+    ];
+    for (const [from, to] of jumps) {
+        assert.strictEqual(lifecycle.canTransition(from, to), false, `${from} → ${to}`);
+        const { id } = addVideo({ name: `${from} clip`, status: from });
+        assert.throws(() => lifecycle.transitionVideo(id, to), lifecycle.VideoStateError, `${from} → ${to}`);
+        assert.strictEqual(getVideo(id).status, from);
+    }
+});
+
+test('moving to the current state does nothing', () => {
+    const { id } = addVideo({ name: 'clip', status: 'queued' });
+    const before = docs.get(VIDEOS_PATH);
+
+    lifecycle.transitionVideo(id, 'queued');
+    assert.strictEqual(docs.get(VIDEOS_PATH), before);
+});
+
+test('failed and cancelled keep their error until the next move', () => {
+    const { id } = addVideo({ name: 'clip', status: 'queued' });
+
+    lifecycle.transitionVideo(id, 'processing');
+    lifecycle.transitionVideo(id, 'cancelled', { actor: 'api', error: 'Cancelled during the cutout step' });
+    assert.strictEqual(getVideo(id).error, 'Cancelled during the cutout step');
+
+    lifecycle.transitionVideo(id, 'queued', { actor: 'api' });
+    lifecycle.transitionVideo(id, 'failed', { error: 'Editor crashed' });
+    assert.strictEqual(getVideo(id).error, 'Editor crashed');
+
+    lifecycle.transitionVideo(id, 'queued', { actor: 'api' });
+    assert.strictEqual('error' in getVideo(id), false);
+});
+
+test('every move is appended to the history with who made it', () => {
+    const { id } = addVideo({ name: 'clip', status: 'queued' });
+
+    lifecycle.transitionVideo(id, 'processing', { actor: 'pipeline', jobId: 'job-1', step: 'upload' });
+    lifecycle.transitionVideo(id, 'failed', { actor: 'pipeline', jobId: 'job-1', step: 'cutout', error: 'Editor crashed' });
+
+    const history = getVideo(id).history.map(({ at, ...entry }) => entry);
+    assert.deepStrictEqual(history, [
+        { from: null, to: 'queued', actor: 'api', jobId: null, step: null, error: null },
+        { from: 'queued', to: 'processing', actor: 'pipeline', jobId: 'job-1', step: 'upload', error: null },
+        { from: 'processing', to: 'failed', actor: 'pipeline', jobId: 'job-1', step: 'cutout', error: 'Editor crashed' }
+    ]);
+});
+
+test('a missing video is reported as null', () => {
+    assert.strictEqual(lifecycle.transitionVideo('no-such-id', 'queued'), null);
+});
+
+test('archiveVideo leaves videos that a job owns alone', () => {
+    const busy = addVideo({ name: 'busy', status: 'queued' });
+    const idle = addVideo({ name: 'idle', status: 'downloaded' });
+
+    assert.strictEqual(lifecycle.archiveVideo(busy.id, { actor: 'api' }), false);
+    assert.strictEqual(lifecycle.archiveVideo(idle.id, { actor: 'api' }), true);
+    assert.strictEqual(getVideo(busy.id).status, 'queued');
+    assert.strictEqual(getVideo(idle.id).status, 'archived');
+    assert.strictEqual(lifecycle.archiveVideo(idle.id), false);
+});
@@ -1,6 +1,8 @@
 const path = require('path');
 const fs = require('fs');
 const { setTimeout } = require('timers/promises');
+const { queryElement } = require('./selectors');
+const { assertInViewport } = require('./browserMode');
 
 class TimelineUtils {
     /**
@@ -20,13 +22,12 @@ class TimelineUtils {
         }
 
         try {
-            await page.evaluate(async (time, isRelative) => {
-                const timeDisplay = document.querySelector('#timeline-part-view > div.timeline-tools-wrapper > div.timeline-tools > div.timeline-tools-center > div.player-time');
-                if (!timeDisplay) {
-                    console.error('Time display element not found');
-                    return false;
-                }
+            const timeDisplayHandle = await queryElement(page, 'playerTime');
+            if (!timeDisplayHandle) {
+                throw new Error('Time display element not found');
+            }
 
+            await timeDisplayHandle.evaluate(async (timeDisplay, time, isRelative) => {
                 // Click the time display to focus it if needed
                 timeDisplay.click();
                 
@@ -78,51 +79,26 @@ class TimelineUtils {
             const targetSeconds = typeof targetTime === 'string' ? this.hmsToSeconds(targetTime) : targetTime;
 
             // Step 1: Get the total duration string from the browser
-            const durationStr = await page.evaluate(() => {
-                const timeDisplay = document.querySelector('.player-time');
-                return timeDisplay ? timeDisplay.textContent.trim().split(' / ')[1] : '00:00:30';
-            });
+            const timeDisplay = await queryElement(page, 'playerTime');
+            const durationStr = timeDisplay
+                ? await timeDisplay.evaluate(el => el.textContent.trim().split(' / ')[1])
+                : '00:00:30';
 
             // Step 2: Convert duration string to seconds in Node.js
             const totalDuration = this.hmsToSeconds(durationStr || '00:00:30');
 
-            // Step 3: Perform the click in the browser with all necessary data
-            await page.evaluate(async ({ timeInSeconds, totalDurationInSeconds }) => {
-                const timeline = document.querySelector('#timeline-part-view');
-                if (!timeline) {
-                    console.error('Timeline element not found');
-                    return;
-                }
-                
-                const rect = timeline.getBoundingClientRect();
-                const totalWidth = rect.width;
-                
-                // Calculate position to click (in pixels from left)
-                const position = Math.min((timeInSeconds / totalDurationInSeconds) * totalWidth, totalWidth - 10);
-                const clickX = rect.left + 10 + position; // 10px padding from left
-                const clickY = rect.top + (rect.height / 2); // Vertical center
-                
-                // Simulate mouse events using Puppeteer's API for reliability
-                // Note: This part is illustrative; actual clicks are done via page.mouse.click
-                // The evaluation here is just to calculate coordinates.
-                // We will return the coordinates and click with puppeteer.
-                return { clickX, clickY };
-
-            }, { timeInSeconds: targetSeconds, totalDurationInSeconds: totalDuration });
-
-            // This part is simplified as the logic above is complex to implement with page.evaluate for clicks
-            // A direct click is more reliable.
-            const timelineRect = await page.evaluate(() => {
-                const timeline = document.querySelector('#timeline-part-view');
-                if (!timeline) return null;
-                const rect = timeline.getBoundingClientRect();
+            // Step 3: Click the timeline at the matching position
+            const timeline = await queryElement(page, 'timelinePanel');
+            const timelineRect = timeline ? await timeline.evaluate(el => {
+                const rect = el.getBoundingClientRect();
                 return { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
-            });
+            }) : null;
 
             if(timelineRect) {
                 const position = Math.min((targetSeconds / totalDuration) * timelineRect.width, timelineRect.width - 10);
                 const clickX = timelineRect.left + 10 + position;
                 const clickY = timelineRect.top + (timelineRect.height / 2);
+                assertInViewport(page, clickX, clickY, `Timeline position for ${targetTime}`);
                 await page.mouse.click(clickX, clickY);
             }
 
@@ -0,0 +1,225 @@
+const { setTimeout } = require('timers/promises');
+const { matchElement, queryElement } = require('./selectors');
+
+// Waits on real UI signals instead of fixed sleeps. Each wait polls until its condition holds
+// and throws a UiWaitTimeoutError naming what it waited for once its timeout passes.
+
+const DEFAULT_WAIT_TIMEOUT = 30000;
+
+/**
+ * Thrown when a UI condition does not hold within its timeout
+ */
+class UiWaitTimeoutError extends Error {
+    constructor(description, timeout) {
+        super(`Timed out after ${timeout / 1000}s waiting for ${description}`);
+        this.name = 'UiWaitTimeoutError';
+        this.description = description;
+    }
+}
+
+/**
+ * Poll a check until it returns a truthy value
+ * @param {function} check - async () => any; a truthy result ends the wait
+ * @param {Object} options - Wait options
+ * @param {number} options.timeout - Maximum wait in ms
+ * @param {number} options.interval - Pause between checks in ms
+ * @param {string} options.description - What is being waited for, used in the timeout error
+ * @returns {Promise<*>} The check's truthy result
+ */
+async function waitUntil(check, options = {}) {
+    const { timeout = DEFAULT_WAIT_TIMEOUT, interval = 250, description = 'the UI' } = options;
+    const startedAt = Date.now();
+
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() - startedAt >= timeout) {
+            throw new UiWaitTimeoutError(description, timeout);
+        }
+        await setTimeout(interval);
+    }
+}
+
+/**
+ * Wait for a registry element to be visible and to stop moving (e.g. a dialog that animates in)
+ * @param {Page} page - Puppeteer page object
+ * @param {string} name - Logical element name from selectors.json
+ * @param {Object} options - Wait options
+ * @param {number} options.timeout - Maximum wait in ms
+ * @param {number} options.stableFor - How long its position and size must stay the same in ms
+ * @returns {Promise<ElementHandle>} The element
+ */
+async function waitForElementStable(page, name, options = {}) {
+    const { timeout = DEFAULT_WAIT_TIMEOUT, stableFor = 500 } = options;
+    let lastBox = null;
+    let stableSince = 0;
+
+    return waitUntil(async () => {
+        const match = await matchElement(page, name, { visible: true });
+        const box = match ? await match.handle.boundingBox() : null;
+        if (!box) {
+            lastBox = null;
+            return null;
+        }
+
+        const moved = !lastBox || ['x', 'y', 'width', 'height'].some(key => Math.abs(box[key] - lastBox[key]) > 0.5);
+        if (moved) {
+            lastBox = box;
+            stableSince = Date.now();
+            return null;
+        }
+        return Date.now() - stableSince >= stableFor ? match.handle : null;
+    }, { timeout, interval: 100, description: `"${name}" to appear and stop moving` });
+}
+
+/**
+ * Wait for a registry element to show a text (its value for inputs)
+ * @param {Page} page - Puppeteer page object
+ * @param {string} name - Logical element name from selectors.json
+ * @param {string} text - Expected text, compared after trimming
+ * @param {Object} options - Wait options ({ timeout })
+ * @returns {Promise<ElementHandle>} The element
+ */
+async function waitForText(page, name, text, options = {}) {
+    const { timeout = DEFAULT_WAIT_TIMEOUT } = options;
+
+    return waitUntil(async () => {
+        const handle = await queryElement(page, name);
+        if (!handle) return null;
+        const shown = await handle.evaluate(el => (el.value !== undefined ? el.value : el.textContent).trim());
+        return shown === text ? handle : null;
+    }, { timeout, description: `"${name}" to show "${text}"` });
+}
+
+/**
+ * Wait until no request matching a pattern has been in flight for a while (e.g. draft saves).
+ * Only requests sent after the wait starts are seen, so start it right after the action.
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} options - Wait options
+ * @param {RegExp} options.urlPattern - Requests to watch (all requests when omitted)
+ * @param {number} options.idleTime - How long no matching request may be in flight in ms
+ * @param {number} options.timeout - Maximum wait in ms
+ */
+async function waitForNetworkIdle(page, options = {}) {
+    const { urlPattern = null, idleTime = 1000, timeout = DEFAULT_WAIT_TIMEOUT } = options;
+    const inFlight = new Set();
+    let lastActivity = Date.now();
+
+    const isWatched = request => !urlPattern || urlPattern.test(request.url());
+    const onRequest = request => {
+        if (!isWatched(request)) return;
+        inFlight.add(request);
+        lastActivity = Date.now();
+    };
+    const onDone = request => {
+        if (!inFlight.delete(request)) return;
+        lastActivity = Date.now();
+    };
+
+    page.on('request', onRequest);
+    page.on('requestfinished', onDone);
+    page.on('requestfailed', onDone);
+    try {
+        await waitUntil(() => inFlight.size === 0 && Date.now() - lastActivity >= idleTime, {
+            timeout,
+            interval: 100,
+            description: `network idle${urlPattern ? ` for ${urlPattern}` : ''}`
+        });
+    } finally {
+        page.off('request', onRequest);
+        page.off('requestfinished', onDone);
+        page.off('requestfailed', onDone);
+    }
+}
+
+/**
+ * Wait until no loading spinner (registry element "loadingSpinner") is visible
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} options - Wait options ({ timeout })
+ */
+async function waitForSpinnerGone(page, options = {}) {
+    const { timeout = DEFAULT_WAIT_TIMEOUT } = options;
+
+    await waitUntil(async () => !(await matchElement(page, 'loadingSpinner', { visible: true })), {
+        timeout,
+        interval: 500,
+        description: 'the loading spinner to disappear'
+    });
+}
+
+/**
+ * Take a cheap fingerprint of what a canvas currently shows
+ * @param {Page} page - Puppeteer page object
+ * @param {string} name - Logical element name of the canvas (default: the timeline canvas)
+ * @returns {Promise<string|null>} Fingerprint, or null if the canvas is missing
+ */
+async function getCanvasSignature(page, name = 'timelineCanvas') {
+    const canvas = await queryElement(page, name);
+    if (!canvas) {
+        return null;
+    }
+
+    return canvas.evaluate(el => {
+        try {
+            const context = el.getContext('2d');
+            const { data } = context.getImageData(0, 0, el.width, el.height);
+            let hash = 0;
+            // Sample every 8th pixel; enough to notice clips moving or resizing
+            for (let i = 0; i < data.length; i += 32) {
+                hash = (hash * 31 + data[i] + data[i + 1] * 7 + data[i + 2] * 13) | 0;
+            }
+            return `${el.width}x${el.height}:${hash}`;
+        } catch (error) {
+            return `${el.width}x${el.height}:${el.toDataURL().length}`;
+        }
+    });
+}
+
+/**
+ * Wait until a canvas stops changing, optionally after it first changed from an earlier fingerprint
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} options - Wait options
+ * @param {string} options.changedFrom - Fingerprint from before the action; wait for a redraw first
+ * @param {string} options.name - Logical element name of the canvas (default: the timeline canvas)
+ * @param {number} options.stableFor - How long the canvas must stay the same in ms
+ * @param {number} options.timeout - Maximum wait in ms
+ */
+async function waitForCanvasStable(page, options = {}) {
+    const { changedFrom = null, name = 'timelineCanvas', stableFor = 500, timeout = DEFAULT_WAIT_TIMEOUT } = options;
+    let redrawn = changedFrom === null;
+    let lastSignature = null;
+    let stableSince = 0;
+
+    await waitUntil(async () => {
+        const signature = await getCanvasSignature(page, name);
+        if (signature === null) return false;
+
+        if (!redrawn) {
+            redrawn = signature !== changedFrom;
+            if (!redrawn) return false;
+        }
+        if (signature !== lastSignature) {
+            lastSignature = signature;
+            stableSince = Date.now();
+            return false;
+        }
+        return Date.now() - stableSince >= stableFor;
+    }, {
+        timeout,
+        interval: 150,
+        description: changedFrom === null ? `"${name}" to stop redrawing` : `"${name}" to redraw`
+    });
+}
+
+module.exports = {
+    waitUntil,
+    waitForElementStable,
+    waitForText,
+    waitForNetworkIdle,
+    waitForSpinnerGone,
+    getCanvasSignature,
+    waitForCanvasStable,
+    UiWaitTimeoutError
+};
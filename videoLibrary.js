@@ -0,0 +1,479 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJson, writeJson, updateJson } = require('./jsonStore');
+
+// The video library: one record per video, keyed by a stable ID that links its source file in uploads/,
+// its .info.json, the outputs exported to downloads/ and the jobs that processed it
+const VIDEOS_PATH = path.join(__dirname, 'videos.json');
+
+// Version 2 gave every record an ID; version 3 made its status a lifecycle state (see videoLifecycle.js);
+// version 4 gave every record a status history. Older files are migrated the first time they are read.
+const LIBRARY_VERSION = 4;
+
+// Folders the migrations look in for source files, marker files and exports (see setMediaFolders)
+let uploadsDir = path.join(__dirname, 'uploads');
+let downloadsDir = path.join(__dirname, 'downloads');
+const VIDEO_EXTENSIONS = ['.mp4', '.webm', '.mkv', '.avi', '.mov'];
+
+// Status marker files the pipeline used to write next to a source in uploads/, most advanced first
+const LEGACY_MARKERS = [
+    { suffix: '_complete.marker', state: 'complete' },
+    { suffix: '_rmbg.marker', state: 'background-removed' },
+    { suffix: '_filed.marker', state: 'background-removed' },
+    { suffix: '_downloaded.marker', state: 'downloaded' }
+];
+
+// CapCut copies kept next to a source in uploads/ by older versions, meaning its background was removed
+const LEGACY_PROCESSED_SUFFIXES = ['_processed', '_rmbg', '_exported', '_capcut'];
+
+// Order of the states a migrated video can have; the most advanced one any hint points at wins
+const MIGRATED_STATE_ORDER = ['downloaded', 'cancelled', 'background-removed', 'complete'];
+
+/**
+ * Path of the copy of videos.json saved before migrating it from a version
+ * @param {number} version - Version being migrated from
+ * @returns {string} Backup path (videos.v1-backup.json, videos.v2-backup.json, ...)
+ */
+function getBackupPath(version) {
+    return path.join(__dirname, `videos.v${version}-backup.json`);
+}
+
+/**
+ * List the video files in a folder
+ * @param {string} directory - Folder to look in
+ * @returns {Array<string>} File names
+ */
+function listVideoFiles(directory) {
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+    return fs.readdirSync(directory).filter(file => VIDEO_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+}
+
+/**
+ * Find a video file in a folder by its name without extension (records written before IDs only had a name)
+ * @param {string} directory - Folder to look in
+ * @param {string} name - File name without extension
+ * @returns {string|null} File name, or null if there is none
+ */
+function findFileByName(directory, name) {
+    if (!name) {
+        return null;
+    }
+    return listVideoFiles(directory).find(file => path.basename(file, path.extname(file)) === name) || null;
+}
+
+/**
+ * Read the yt-dlp .info.json that belongs to a video file
+ * @param {string} filePath - Video file
+ * @returns {Object|null} { infoFile, info }, or null if there is no readable one
+ */
+function readInfoFile(filePath) {
+    const infoFile = `${path.basename(filePath, path.extname(filePath))}.info.json`;
+    try {
+        return { infoFile, info: JSON.parse(fs.readFileSync(path.join(path.dirname(filePath), infoFile), 'utf8')) };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Build an entry for a video's status history. The history is append-only: entries are added when a record
+ * is created, migrated or moved to another state, and never changed afterwards.
+ * @param {string|null} from - State before (null when the record is created)
+ * @param {string} to - State after
+ * @param {Object} details - { actor: 'api'|'pipeline'|'migration', jobId, step, error, at }
+ * @returns {Object} { at, from, to, actor, jobId, step, error }
+ */
+function createHistoryEntry(from, to, { actor, jobId = null, step = null, error = null, at = new Date().toISOString() } = {}) {
+    return { at, from, to, actor: actor || null, jobId, step, error };
+}
+
+/**
+ * Build a new library record
+ * @param {Object} fields - { name, filename, infoFile, description, status, url, outputs, createdAt, actor }
+ * @returns {Object} The record
+ */
+function createRecord({ name, filename = null, infoFile = null, description = '', status = 'downloaded', url = null, outputs = [], createdAt = new Date().toISOString(), actor = 'api' }) {
+    return {
+        id: crypto.randomUUID(),
+        name: name,
+        description: description || '',
+        status: status,
+        filename: filename,
+        infoFile: infoFile,
+        url: url,
+        outputs: outputs,
+        jobIds: [],
+        createdAt: createdAt,
+        history: [createHistoryEntry(null, status, { actor, at: createdAt })]
+    };
+}
+
+/**
+ * Fold a second version 1 record for the same source file into the first: the status of the
+ * newer record (by timestamp) wins, the first non-empty description is kept and the earliest time is the creation time
+ * @param {Object} record - Version 2 record already migrated
+ * @param {Object} video - Version 1 record for the same file
+ */
+function mergeVideoRecord(record, video) {
+    const recordTime = record.timestamp || 0;
+    const videoTime = video.timestamp || 0;
+    if (video.status && videoTime > recordTime) {
+        record.status = video.status;
+        record.timestamp = video.timestamp;
+    }
+    if (!record.description && video.description) {
+        record.description = video.description;
+    }
+    if (video.timestamp && (!record.createdAt || video.timestamp < Date.parse(record.createdAt))) {
+        record.createdAt = new Date(video.timestamp).toISOString();
+    }
+}
+
+/**
+ * Version 1 → 2: give every record an ID and the fields that link it to its files.
+ * Records that point at the same source file become one (see mergeVideoRecord).
+ * @param {Array<Object>} oldVideos - Version 1 records
+ * @returns {Array<Object>} Version 2 records
+ */
+function addVideoIds(oldVideos) {
+    const videos = [];
+    for (const video of oldVideos) {
+        const filename = video.filename || findFileByName(uploadsDir, video.name);
+        const existing = filename ? videos.find(other => other.filename === filename) : null;
+        if (existing) {
+            mergeVideoRecord(existing, video);
+            console.log(`⚠️ videos.json migration: merged a second record for ${filename}`);
+            continue;
+        }
+
+        const baseName = filename ? path.basename(filename, path.extname(filename)) : null;
+        const output = findFileByName(downloadsDir, video.name);
+        videos.push({
+            id: crypto.randomUUID(),
+            ...video,
+            filename: filename || null,
+            infoFile: baseName && fs.existsSync(path.join(uploadsDir, `${baseName}.info.json`)) ? `${baseName}.info.json` : null,
+            outputs: output ? [output] : [],
+            jobIds: [],
+            createdAt: video.timestamp ? new Date(video.timestamp).toISOString() : null
+        });
+    }
+    return videos;
+}
+
+/**
+ * Collect the state hints the old pipeline left next to a source file in uploads/,
+ * deleting its status marker files on the way
+ * @param {string} filename - Source file name
+ * @returns {Array<string>} States the markers and CapCut copies point at
+ */
+function takeLegacyHints(filename) {
+    const baseName = path.basename(filename, path.extname(filename));
+    const hints = [];
+    for (const marker of LEGACY_MARKERS) {
+        const markerPath = path.join(uploadsDir, `${baseName}${marker.suffix}`);
+        if (fs.existsSync(markerPath)) {
+            hints.push(marker.state);
+            fs.unlinkSync(markerPath);
+        }
+    }
+    if (LEGACY_PROCESSED_SUFFIXES.some(suffix => fs.existsSync(path.join(uploadsDir, `${baseName}${suffix}.mp4`)))) {
+        hints.push('background-removed');
+    }
+    return hints;
+}
+
+/**
+ * Pick the most advanced of the states a migrated video's hints point at
+ * @param {Array<string|null>} hints - States (nulls are ignored)
+ * @returns {string} Lifecycle state
+ */
+function mostAdvancedState(hints) {
+    return hints.reduce((best, hint) =>
+        MIGRATED_STATE_ORDER.indexOf(hint) > MIGRATED_STATE_ORDER.indexOf(best) ? hint : best, 'downloaded');
+}
+
+/**
+ * Version 2 → 3: turn every status into a lifecycle state. Status marker files are folded in and deleted,
+ * videos whose files are all gone are archived, and video files without a record get one
+ * with the state their folder used to imply (uploads/ downloaded, downloads/ complete).
+ * @param {Array<Object>} videos - Version 2 records
+ * @returns {Array<Object>} Version 3 records
+ */
+function migrateVideoStates(videos) {
+    const { toLifecycleState } = require('./videoLifecycle');
+    const uploads = listVideoFiles(uploadsDir);
+    const downloads = listVideoFiles(downloadsDir);
+
+    for (const video of videos) {
+        const hasSource = Boolean(video.filename) && uploads.includes(video.filename);
+        const hasOutput = (video.outputs || []).some(output => downloads.includes(output));
+        const hints = video.filename ? takeLegacyHints(video.filename) : [];
+        const storedState = toLifecycleState(video.status);
+        const legacyStatus = video.status || null;
+
+        if (storedState === 'archived' || (!hasSource && !hasOutput)) {
+            video.status = 'archived';
+        } else {
+            video.status = mostAdvancedState([storedState, ...hints, hasOutput ? 'complete' : null]);
+        }
+        video.history = [createHistoryEntry(legacyStatus, video.status, { actor: 'migration' })];
+    }
+
+    for (const filename of uploads.filter(file => !videos.some(video => video.filename === file))) {
+        const { infoFile = null, info = {} } = readInfoFile(path.join(uploadsDir, filename)) || {};
+        videos.push(createRecord({
+            name: info.title || path.basename(filename, path.extname(filename)),
+            filename,
+            infoFile,
+            description: info.description,
+            url: info.webpage_url || info.original_url || null,
+            status: mostAdvancedState(takeLegacyHints(filename)),
+            createdAt: fs.statSync(path.join(uploadsDir, filename)).mtime.toISOString(),
+            actor: 'migration'
+        }));
+    }
+    for (const output of downloads.filter(file => !videos.some(video => (video.outputs || []).includes(file)))) {
+        videos.push(createRecord({
+            name: path.basename(output, path.extname(output)),
+            outputs: [output],
+            status: 'complete',
+            createdAt: fs.statSync(path.join(downloadsDir, output)).mtime.toISOString(),
+            actor: 'migration'
+        }));
+    }
+    return videos;
+}
+
+/**
+ * Version 3 → 4: start a history for records written before there was one. Their earlier states are not known,
+ * so the history starts at the current state, dated from the last status change (or the record's creation).
+ * @param {Array<Object>} videos - Version 3 records
+ * @returns {Array<Object>} Version 4 records
+ */
+function addVideoHistory(videos) {
+    for (const video of videos.filter(record => !Array.isArray(record.history))) {
+        video.history = [createHistoryEntry(null, video.status, {
+            actor: 'migration',
+            at: video.statusUpdatedAt || video.createdAt || new Date().toISOString()
+        })];
+    }
+    return videos;
+}
+
+/**
+ * Point the migrations at other uploads/ and downloads/ folders, e.g. temporary ones in tests.
+ * Migrating deletes marker files in uploads/, so tests must never run it on the real folders.
+ * @param {Object} folders - { uploads, downloads }; a folder left out keeps its current path
+ */
+function setMediaFolders({ uploads = uploadsDir, downloads = downloadsDir } = {}) {
+    uploadsDir = uploads;
+    downloadsDir = downloads;
+}
+
+/**
+ * Bring an older library up to LIBRARY_VERSION, one version at a time. A copy of the old data is saved first.
+ * @param {Object} videosData - Contents of videos.json, changed in place
+ * @returns {boolean} False if the data was already up to date
+ */
+function migrateVideosData(videosData) {
+    const version = videosData.version || 1;
+    if (version >= LIBRARY_VERSION) {
+        return false;
+    }
+
+    let videos = Array.isArray(videosData.videos) ? videosData.videos : [];
+    const backupPath = getBackupPath(version);
+    if (videos.length > 0) {
+        writeJson(backupPath, videosData);
+    }
+    if (version < 2) {
+        videos = addVideoIds(videos);
+    }
+    if (version < 3) {
+        videos = migrateVideoStates(videos);
+    }
+    if (version < 4) {
+        videos = addVideoHistory(videos);
+    }
+
+    // Version first, so the format is obvious to anyone opening the file
+    delete videosData.videos;
+    videosData.version = LIBRARY_VERSION;
+    videosData.videos = videos;
+    console.log(`🗃️ Migrated videos.json from version ${version} to ${LIBRARY_VERSION}: ${videos.length} record(s)` +
+        (fs.existsSync(backupPath) ? ` (old file saved as ${path.basename(backupPath)})` : ''));
+    return true;
+}
+
+/**
+ * Change videos.json in one read-modify-write, so concurrent jobs never overwrite each other's changes
+ * @param {function} mutator - Changes { version, videos } in place; returns false to leave the file untouched
+ */
+function updateVideosData(mutator) {
+    updateJson(VIDEOS_PATH, { version: LIBRARY_VERSION, videos: [] }, videosData => {
+        const migrated = migrateVideosData(videosData);
+        const result = mutator(videosData);
+        // A migration is written even when the change itself turned out to be unnecessary
+        return result === false && migrated ? undefined : result;
+    });
+}
+
+/**
+ * Read videos.json (migrating it first if it predates IDs)
+ * @returns {Object} { version, videos: [...] } (no videos when the file is missing)
+ */
+function readVideosData() {
+    const videosData = readJson(VIDEOS_PATH, { version: LIBRARY_VERSION, videos: [] });
+    if (videosData.version >= LIBRARY_VERSION) {
+        return videosData;
+    }
+    updateVideosData(() => false);
+    return readJson(VIDEOS_PATH, { version: LIBRARY_VERSION, videos: [] });
+}
+
+/**
+ * Get a video record by ID
+ * @param {string} id - Video ID
+ * @returns {Object|undefined} The record
+ */
+function getVideo(id) {
+    return readVideosData().videos.find(video => video.id === id);
+}
+
+/**
+ * Find the record a file belongs to: its source file or one of its outputs
+ * @param {string} file - File path or name
+ * @returns {Object|undefined} The record
+ */
+function findVideoByFile(file) {
+    const filename = path.basename(file);
+    return readVideosData().videos.find(video => video.filename === filename || (video.outputs || []).includes(filename));
+}
+
+/**
+ * Add a video to the library. A file that already has a record keeps it.
+ * @param {Object} fields - { name, filename, infoFile, description, status, url, createdAt, actor }; status is the
+ *   video's first lifecycle state ('downloaded' unless given), recorded in its history as set by actor ('api' unless given)
+ * @returns {Object} The new (or existing) record
+ */
+function addVideo(fields) {
+    let video = null;
+    updateVideosData(videosData => {
+        video = fields.filename ? videosData.videos.find(existing => existing.filename === fields.filename) : null;
+        if (video) {
+            return false;
+        }
+        video = createRecord(fields);
+        videosData.videos.push(video);
+    });
+    return video;
+}
+
+/**
+ * Change a video record
+ * @param {string} id - Video ID
+ * @param {function} mutator - Changes the record in place; returns false to leave it untouched
+ * @returns {Object|null} The record, or null if there is no video with this ID
+ */
+function updateVideo(id, mutator) {
+    let video = null;
+    updateVideosData(videosData => {
+        video = videosData.videos.find(existing => existing.id === id) || null;
+        return video ? mutator(video) : false;
+    });
+    return video;
+}
+
+/**
+ * Point a video at its downloaded source file, taking its name, description and URL from the .info.json next to it
+ * @param {string} id - Video ID
+ * @param {string} filePath - Source file in uploads/
+ * @returns {Object|null} The record, or null if there is no video with this ID
+ */
+function setVideoSource(id, filePath) {
+    const { infoFile = null, info = null } = readInfoFile(filePath) || {};
+    return updateVideo(id, video => {
+        video.filename = path.basename(filePath);
+        video.infoFile = infoFile;
+        if (info) {
+            video.name = info.title || video.name;
+            video.description = info.description || video.description;
+            video.url = info.webpage_url || info.original_url || video.url;
+        }
+    });
+}
+
+/**
+ * Link a job to the video it processes
+ * @param {string} id - Video ID
+ * @param {string} jobId - Job ID
+ */
+function linkVideoJob(id, jobId) {
+    updateVideo(id, video => {
+        video.jobIds = video.jobIds || [];
+        if (video.jobIds.includes(jobId)) {
+            return false;
+        }
+        video.jobIds.push(jobId);
+    });
+}
+
+/**
+ * Record a file exported for a video
+ * @param {string} id - Video ID
+ * @param {string} outputPath - Exported file (in downloads/)
+ */
+function addVideoOutput(id, outputPath) {
+    const output = path.basename(outputPath);
+    updateVideo(id, video => {
+        video.outputs = video.outputs || [];
+        if (video.outputs.includes(output)) {
+            return false;
+        }
+        video.outputs.push(output);
+    });
+}
+
+/**
+ * Follow a rename of one of a video's files (its source or an output)
+ * @param {string} id - Video ID
+ * @param {string} oldFilename - File name before the rename
+ * @param {string} newFilename - File name after the rename
+ * @returns {boolean} False if the file is not one of the video's files
+ */
+function renameVideoFile(id, oldFilename, newFilename) {
+    let renamed = false;
+    updateVideo(id, video => {
+        if (video.filename === oldFilename) {
+            video.filename = newFilename;
+            renamed = true;
+        }
+        const outputIndex = (video.outputs || []).indexOf(oldFilename);
+        if (outputIndex !== -1) {
+            video.outputs[outputIndex] = newFilename;
+            renamed = true;
+        }
+        return renamed;
+    });
+    return renamed;
+}
+
+module.exports = {
+    VIDEOS_PATH,
+    readVideosData,
+    updateVideosData,
+    setMediaFolders,
+    createHistoryEntry,
+    getVideo,
+    findVideoByFile,
+    addVideo,
+    updateVideo,
+    setVideoSource,
+    linkVideoJob,
+    addVideoOutput,
+    renameVideoFile
+};
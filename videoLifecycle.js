@@ -0,0 +1,143 @@
+const { getVideo, updateVideo, createHistoryEntry } = require('./videoLibrary');
+
+// A video's status in videos.json is its lifecycle state, and it only ever changes through transitionVideo.
+// Jobs drive it: queued → (downloading → downloaded →) processing → background-removed → exporting → complete.
+const VIDEO_STATES = [
+    'queued',              // Waiting in the job queue for an editor
+    'downloading',         // yt-dlp is fetching the source
+    'downloaded',          // Source file in uploads/, not being processed
+    'processing',          // A job is running the CapCut pipeline on it
+    'background-removed',  // The cutout step finished; export still to do
+    'exporting',           // The export step is rendering it
+    'complete',            // Exported to downloads/
+    'failed',              // The last job failed (see the record's error)
+    'cancelled',           // The last job was cancelled; its files are kept and a retry resumes from its checkpoint
+    'archived'             // Its files were deleted; the record is kept for history
+];
+
+// Legal next states for each state: the moves jobs make. Besides the forward path:
+// - a video a job owns goes back to 'queued' when a restart interrupts the job;
+// - a settled video goes back to 'queued' when it is reused or its job is retried;
+// - 'downloaded' and 'background-removed' can be cancelled at the safe points between steps;
+// - 'processing' settles at 'downloaded' when a recipe has neither a cutout nor an export step;
+// - deleting a settled video's files archives it.
+const TRANSITIONS = {
+    'queued': ['downloading', 'processing', 'failed', 'cancelled'],
+    'downloading': ['downloaded', 'queued', 'failed'],
+    'downloaded': ['processing', 'queued', 'cancelled', 'archived'],
+    'processing': ['background-removed', 'exporting', 'downloaded', 'queued', 'failed', 'cancelled'],
+    'background-removed': ['exporting', 'queued', 'failed', 'cancelled', 'archived'],
+    'exporting': ['complete', 'queued', 'failed', 'cancelled'],
+    'complete': ['queued', 'archived'],
+    'failed': ['queued', 'archived'],
+    'cancelled': ['queued', 'archived'],
+    'archived': []
+};
+
+// States in which a job owns the video; a new job for it has to wait until it settles
+const BUSY_STATES = ['queued', 'downloading', 'processing', 'exporting'];
+
+// videos.json statuses from before the lifecycle, and what they meant
+const LEGACY_STATES = {
+    'filed': 'background-removed', // Set when background removal finished but the export failed
+    'rmbg': 'background-removed',
+    'processed': 'complete'
+};
+
+/**
+ * Error for a status change the lifecycle does not allow
+ */
+class VideoStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VideoStateError';
+    }
+}
+
+/**
+ * Check whether a video may move from one state to another
+ * @param {string} from - Current state
+ * @param {string} to - Next state
+ * @returns {boolean} True if the transition is legal
+ */
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Map a status from an older videos.json to a lifecycle state
+ * @param {string} status - Stored status
+ * @returns {string|null} Lifecycle state, or null if the status means nothing
+ */
+function toLifecycleState(status) {
+    if (VIDEO_STATES.includes(status)) {
+        return status;
+    }
+    return LEGACY_STATES[status] || null;
+}
+
+/**
+ * Move a video to a new lifecycle state and add the move to its history. Moving to the state it is already in does nothing.
+ * @param {string} videoId - Video ID
+ * @param {string} state - Next state (one of VIDEO_STATES)
+ * @param {Object} details - Recorded in the history: { actor: 'api'|'pipeline', jobId, step, error };
+ *   error also explains a move to 'failed' or 'cancelled'
+ * @returns {Object|null} The record, or null if there is no video with this ID
+ * @throws {VideoStateError} If the state is unknown or cannot follow the current one
+ */
+function transitionVideo(videoId, state, details = {}) {
+    if (!VIDEO_STATES.includes(state)) {
+        throw new VideoStateError(`Unknown video state: ${state}`);
+    }
+
+    let from = null;
+    const video = updateVideo(videoId, record => {
+        from = record.status;
+        if (from === state) {
+            return false;
+        }
+        if (!canTransition(from, state)) {
+            throw new VideoStateError(`Video ${record.id} cannot go from "${from}" to "${state}"`);
+        }
+        const entry = createHistoryEntry(from, state, details);
+        record.history = [...(record.history || []), entry];
+        record.status = state;
+        record.statusUpdatedAt = entry.at;
+        if (state === 'failed' || state === 'cancelled') {
+            record.error = details.error || null;
+        } else {
+            delete record.error;
+        }
+    });
+
+    if (video && from !== state) {
+        console.log(`🎞️ Video ${video.name}: ${from} → ${state}`);
+    }
+    return video;
+}
+
+/**
+ * Archive a video whose files are gone. Videos that are queued or being worked on are left alone.
+ * @param {string} videoId - Video ID
+ * @param {Object} details - History details, as for transitionVideo
+ * @returns {boolean} True if the video was archived
+ */
+function archiveVideo(videoId, details = {}) {
+    const video = getVideo(videoId);
+    if (!video || !canTransition(video.status, 'archived')) {
+        return false;
+    }
+    transitionVideo(videoId, 'archived', details);
+    return true;
+}
+
+module.exports = {
+    VIDEO_STATES,
+    TRANSITIONS,
+    BUSY_STATES,
+    VideoStateError,
+    canTransition,
+    toLifecycleState,
+    transitionVideo,
+    archiveVideo
+};
@@ -1,6 +1,8 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
+const { readVideosData, getVideo, findVideoByFile, renameVideoFile } = require('./videoLibrary');
+const { BUSY_STATES, archiveVideo } = require('./videoLifecycle');
 
 // Get the uploads and downloads directory paths
 const uploadsDir = path.join(__dirname, 'uploads');
@@ -9,207 +11,6 @@ const downloadsDir = path.join(__dirname, 'downloads');
 // Create router for API routes
 const router = express.Router();
 
-/**
- * Determine video processing status based on files present
- * @param {string} baseName - Base filename without extension
- * @param {string} directoryPath - Directory path where the video is located
- * @param {string} folderName - Name of the folder ('uploads' or 'downloads')
- * @returns {string} Status: 'downloaded', 'rmbg', or 'complete'
- */
-function determineVideoStatus(baseName, directoryPath, folderName) {
-    // Check for status marker files first (most reliable)
-    const completeMarker = path.join(directoryPath, `${baseName}_complete.marker`);
-    const rmbgMarker = path.join(directoryPath, `${baseName}_rmbg.marker`);
-    const downloadedMarker = path.join(directoryPath, `${baseName}_downloaded.marker`);
-    const filedMarker = path.join(directoryPath, `${baseName}_filed.marker`); // Legacy marker
-    
-    if (fs.existsSync(completeMarker)) {
-        return 'complete'; // Video uploaded to YouTube
-    }
-    
-    if (fs.existsSync(rmbgMarker)) {
-        return 'rmbg'; // Video processed through CapCut
-    }
-    
-    // Fallback: Check for processed/exported files from CapCut
-    const processedFiles = [
-        `${baseName}_processed.mp4`,
-        `${baseName}_rmbg.mp4`,
-        `${baseName}_exported.mp4`,
-        `${baseName}_capcut.mp4`
-    ];
-    
-    // Check if any processed file exists (indicates CapCut processing completed)
-    const hasProcessedFile = processedFiles.some(fileName => {
-        const filePath = path.join(directoryPath, fileName);
-        return fs.existsSync(filePath);
-    });
-    
-    if (hasProcessedFile) {
-        return 'rmbg'; // Video has been processed through CapCut
-    }
-    
-    // Default status based on folder location
-    if (folderName === 'downloads') {
-        return 'complete'; // Videos in downloads are typically processed/complete
-    } else {
-        return 'downloaded'; // Videos in uploads are newly downloaded
-    }
-}
-
-/**
- * Update video status by creating a status marker file
- * @param {string} filename - Video filename
- * @param {string} status - New status ('filed', 'rmbg', 'complete')
- * @returns {Promise<boolean>} Success status
- */
-function updateVideoStatus(filename, status) {
-    try {
-        const baseName = path.basename(filename, path.extname(filename));
-        const statusFile = path.join(uploadsDir, `${baseName}_${status}.marker`);
-        
-        // Create status marker file
-        fs.writeFileSync(statusFile, JSON.stringify({
-            filename: filename,
-            status: status,
-            timestamp: new Date().toISOString()
-        }), 'utf8');
-        
-        console.log(`✅ Status marker created: ${baseName}_${status}.marker`);
-        return true;
-    } catch (error) {
-        console.error(`❌ Error updating video status:`, error.message);
-        return false;
-    }
-}
-
-/**
- * Automatically update video status in videos.json
- * @param {string} videoName - Video name (without extension)
- * @param {string} newStatus - New status ('downloaded', 'processed', 'complete')
- * @returns {boolean} Success status
- */
-function updateVideoStatusInJson(videoName, newStatus) {
-    try {
-        const videosJsonPath = path.join(__dirname, 'videos.json');
-        
-        if (!fs.existsSync(videosJsonPath)) {
-            console.log('⚠️ videos.json not found, cannot update status');
-            return false;
-        }
-        
-        const videosData = JSON.parse(fs.readFileSync(videosJsonPath, 'utf8'));
-        
-        // Find the video entry by name
-        const videoEntry = videosData.videos.find(video => video.name === videoName);
-        
-        if (videoEntry) {
-            const oldStatus = videoEntry.status;
-            videoEntry.status = newStatus;
-            
-            // Write back to file
-            fs.writeFileSync(videosJsonPath, JSON.stringify(videosData, null, 2));
-            
-            console.log(`✅ Updated video status: ${videoName} (${oldStatus} → ${newStatus})`);
-            return true;
-        } else {
-            console.log(`⚠️ Video not found in videos.json: ${videoName}`);
-            return false;
-        }
-        
-    } catch (error) {
-        console.error('❌ Error updating video status in videos.json:', error.message);
-        return false;
-    }
-}
-
-/**
- * Monitor downloads directory and automatically update status for completed videos
- */
-function checkAndUpdateCompletedVideos() {
-    try {
-        if (!fs.existsSync(downloadsDir)) return;
-        
-        const videosJsonPath = path.join(__dirname, 'videos.json');
-        if (!fs.existsSync(videosJsonPath)) return;
-        
-        const videosData = JSON.parse(fs.readFileSync(videosJsonPath, 'utf8'));
-        const downloadedFiles = fs.readdirSync(downloadsDir)
-            .filter(file => file.endsWith('.mp4'))
-            .map(file => path.basename(file, '.mp4'));
-        
-        // Check each video with "downloaded" status
-        for (const videoEntry of videosData.videos) {
-            if (videoEntry.status === 'downloaded') {
-                // Look for matching file in downloads (with emoji normalization)
-                const normalizedVideoName = videoEntry.name
-                    .replace(/[\u{1F600}-\u{1F64F}]/gu, '_')  // Emoticons
-                    .replace(/[\u{1F300}-\u{1F5FF}]/gu, '_')  // Misc Symbols
-                    .replace(/[\u{1F680}-\u{1F6FF}]/gu, '_')  // Transport
-                    .replace(/[\u{1F1E0}-\u{1F1FF}]/gu, '_')  // Flags
-                    .replace(/[\u{2600}-\u{26FF}]/gu, '_')   // Misc symbols
-                    .replace(/[\u{2700}-\u{27BF}]/gu, '_')   // Dingbats
-                    .replace(/[^\w\s.-]/g, '_')              // Other special chars
-                    .replace(/_+/g, '_')                     // Multiple underscores → single
-                    .replace(/^_|_$/g, '')                   // Remove leading/trailing underscores
-                    .toLowerCase();
-                
-                // Check if any downloaded file matches (partial match for truncated names)
-                const matchingFile = downloadedFiles.find(downloadName => {
-                    const normalizedDownload = downloadName
-                        .replace(/[^\w\s.-]/g, '_')
-                        .replace(/_+/g, '_')
-                        .replace(/^_|_$/g, '')
-                        .toLowerCase();
-                    
-                    return normalizedDownload.includes(normalizedVideoName.substring(0, 30)) || 
-                           normalizedVideoName.includes(normalizedDownload.substring(0, 30)) ||
-                           normalizedDownload === normalizedVideoName;
-                });
-                
-                if (matchingFile) {
-                    console.log(`🏆 Auto-detected completed automation for: ${videoEntry.name}`);
-                    
-                    // Update status to processed
-                    const updateSuccess = updateVideoStatusInJson(videoEntry.name, 'processed');
-                    
-                    if (updateSuccess) {
-                        // Also delete original files from uploads if they exist
-                        const originalVideoPath = path.join(uploadsDir, `${videoEntry.name}.mp4`);
-                        const originalInfoPath = path.join(uploadsDir, `${videoEntry.name}.info.json`);
-                        
-                        try {
-                            if (fs.existsSync(originalVideoPath)) {
-                                fs.unlinkSync(originalVideoPath);
-                                console.log(`🗑️ Deleted original video: ${videoEntry.name}.mp4`);
-                            }
-                            
-                            if (fs.existsSync(originalInfoPath)) {
-                                fs.unlinkSync(originalInfoPath);
-                                console.log(`🗑️ Deleted original info: ${videoEntry.name}.info.json`);
-                            }
-                        } catch (deleteError) {
-                            console.warn('⚠️ Could not delete original files:', deleteError.message);
-                        }
-                        
-                        console.log(`✅ Auto-cleanup completed for: ${videoEntry.name}`);
-                    }
-                }
-            }
-        }
-        
-    } catch (error) {
-        console.error('⚠️ Error in checkAndUpdateCompletedVideos:', error.message);
-    }
-}
-
-// Start automatic monitoring every 30 seconds
-setInterval(() => {
-    checkAndUpdateCompletedVideos();
-}, 30000);
-
-console.log('🔄 Started automatic video status monitoring (checks every 30 seconds)');
-
 /**
  * Get list of all downloaded YouTube videos from both uploads and downloads directories
  * @returns {Array} Array of video objects with metadata
@@ -224,14 +25,10 @@ function getDownloadedVideos() {
 
         // Load videos.json for status and metadata
         let videosJsonData = { videos: [] };
-        const videosJsonPath = path.join(__dirname, 'videos.json');
-        if (fs.existsSync(videosJsonPath)) {
-            try {
-                const fileContent = fs.readFileSync(videosJsonPath, 'utf8');
-                videosJsonData = JSON.parse(fileContent);
-            } catch (error) {
-                console.warn('Failed to read videos.json:', error.message);
-            }
+        try {
+            videosJsonData = readVideosData();
+        } catch (error) {
+            console.warn('Failed to read videos.json:', error.message);
         }
 
         directories.forEach(directory => {
@@ -256,6 +53,7 @@ function getDownloadedVideos() {
                     const infoJsonPath = path.join(directory.path, `${baseName}.info.json`);
                     
                     let videoInfo = {
+                        id: null, // Video ID from videos.json
                         filename: file,
                         filepath: filePath,
                         folder: directory.name, // Track which folder the video is in
@@ -267,7 +65,7 @@ function getDownloadedVideos() {
                         url: null,
                         thumbnail: null,
                         description: null,
-                        status: directory.name === 'uploads' ? 'downloaded' : 'complete' // Default status based on folder
+                        status: null // Lifecycle state from videos.json; null for a file the library doesn't know
                     };
 
                     // Try to read metadata from .info.json file
@@ -287,15 +85,18 @@ function getDownloadedVideos() {
                         }
                     }
 
-                    // Check videos.json for status and description (prioritize over file-based detection)
-                    const videoJsonEntry = videosJsonData.videos.find(v => v.name === baseName);
+                    // Check videos.json for status and description.
+                    // Uploads are matched to a video's source file, downloads to its outputs.
+                    const videoJsonEntry = videosJsonData.videos.find(v => directory.name === 'uploads'
+                        ? v.filename === file
+                        : (v.outputs || []).includes(file));
                     if (videoJsonEntry) {
-                        // Use status and description from videos.json
-                        videoInfo.status = videoJsonEntry.status || videoInfo.status;
+                        // Use ID, status and description from videos.json
+                        videoInfo.id = videoJsonEntry.id;
+                        videoInfo.title = videoJsonEntry.name || videoInfo.title;
+                        videoInfo.status = videoJsonEntry.status;
+                        videoInfo.error = videoJsonEntry.error || null;
                         videoInfo.description = videoJsonEntry.description || videoInfo.description;
-                    } else {
-                        // Fallback: Determine video status based on processed files and folder
-                        videoInfo.status = determineVideoStatus(baseName, directory.path, directory.name);
                     }
 
                     videos.push(videoInfo);
@@ -303,42 +104,41 @@ function getDownloadedVideos() {
             });
         });
 
-        // Add archived videos (exist in videos.json but not in folders)
+        // Add videos that exist in videos.json but not in the folders: archived ones, whose files are gone,
+        // and ones whose job has not produced a file yet (a YouTube video before its download)
         if (videosJsonData.videos) {
-            console.log(`🔍 Checking for archived videos from ${videosJsonData.videos.length} entries in videos.json`);
+            console.log(`🔍 Checking for videos without files among ${videosJsonData.videos.length} entries in videos.json`);
             
             videosJsonData.videos.forEach(jsonVideo => {
                 // Check if this video already exists in our videos array (found in folders)
-                const existsInFolders = videos.some(v => {
-                    const baseName = path.basename(v.filename, path.extname(v.filename));
-                    return baseName === jsonVideo.name;
-                });
+                const existsInFolders = videos.some(v => v.id === jsonVideo.id);
+                if (existsInFolders) {
+                    return;
+                }
                 
-                console.log(`📹 Video "${jsonVideo.name}": ${existsInFolders ? 'Found in folders' : 'NOT found in folders (ARCHIVED)'}`);
+                const isArchived = !BUSY_STATES.includes(jsonVideo.status);
+                const missingVideo = {
+                    id: jsonVideo.id,
+                    filename: jsonVideo.filename || (jsonVideo.outputs || [])[0] || jsonVideo.name,
+                    filepath: null, // No file path since it doesn't exist
+                    folder: isArchived ? 'archived' : null, // Special folder designation
+                    size: 0, // Unknown size
+                    downloadDate: jsonVideo.createdAt ? new Date(jsonVideo.createdAt) : new Date(),
+                    title: jsonVideo.name,
+                    duration: null,
+                    uploader: null,
+                    url: jsonVideo.url || null,
+                    thumbnail: null,
+                    description: jsonVideo.description || '',
+                    status: jsonVideo.status,
+                    error: jsonVideo.error || null,
+                    viewCount: null,
+                    uploadDate: null,
+                    isArchived: isArchived // Flag to identify archived videos
+                };
                 
-                if (!existsInFolders) {
-                    // This video exists in JSON but not in folders - it's archived
-                    const archivedVideo = {
-                        filename: `${jsonVideo.name}.mp4`, // Assume mp4 extension
-                        filepath: null, // No file path since it doesn't exist
-                        folder: 'archived', // Special folder designation
-                        size: 0, // Unknown size
-                        downloadDate: new Date(), // Use current date as fallback
-                        title: jsonVideo.name,
-                        duration: null,
-                        uploader: null,
-                        url: null,
-                        thumbnail: null,
-                        description: jsonVideo.description || '',
-                        status: jsonVideo.status || 'archived', // Use original status, fallback to archived
-                        viewCount: null,
-                        uploadDate: null,
-                        isArchived: true // Flag to identify archived videos
-                    };
-                    
-                    console.log(`🗄️ Adding archived video: ${jsonVideo.name} (status: ${archivedVideo.status})`);
-                    videos.push(archivedVideo);
-                }
+                console.log(`${isArchived ? '🗄️ Adding archived video' : '⏳ Adding video without a file yet'}: ${jsonVideo.name} (status: ${jsonVideo.status})`);
+                videos.push(missingVideo);
             });
         }
 
@@ -391,7 +191,7 @@ function formatDuration(seconds) {
 }
 
 /**
- * Delete a video file and its associated metadata
+ * Delete a video file and its associated metadata. A video with no files left is archived.
  * @param {string} filename - Name of the video file to delete
  * @returns {boolean} Success status
  */
@@ -413,6 +213,12 @@ function deleteVideo(filename) {
             console.log(`Deleted info file: ${baseName}.info.json`);
         }
 
+        const video = findVideoByFile(filename);
+        const hasFiles = video && (video.outputs || []).some(output => fs.existsSync(path.join(downloadsDir, output)));
+        if (video && !hasFiles && archiveVideo(video.id, { actor: 'api' })) {
+            console.log(`🗄️ Archived video: ${video.name}`);
+        }
+
         return true;
     } catch (error) {
         console.error(`Error deleting video ${filename}:`, error);
@@ -561,10 +367,38 @@ router.get('/videos/:filename', (req, res) => {
     }
 });
 
-// Reuse video - restart automation for processed videos
+// Get a video's status history, oldest transition first
+router.get('/videos/:id/history', (req, res) => {
+    try {
+        const video = getVideo(req.params.id);
+        
+        if (!video) {
+            return res.status(404).json({
+                success: false,
+                message: `Video not found: ${req.params.id}`
+            });
+        }
+        
+        res.json({
+            success: true,
+            videoId: video.id,
+            name: video.name,
+            status: video.status,
+            history: video.history || []
+        });
+    } catch (error) {
+        console.error('❌ Error getting video history:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Reuse video - restart automation for processed videos (optional videoId picks the record when names repeat)
 router.post('/videos/reuse', async (req, res) => {
     try {
-        const { filename } = req.body;
+        const { filename, videoId } = req.body;
         
         if (!filename) {
             return res.status(400).json({
@@ -573,27 +407,56 @@ router.post('/videos/reuse', async (req, res) => {
             });
         }
         
-        console.log(`🔄 API: Reusing video for automation: ${filename}`);
+        const video = videoId ? getVideo(videoId) : findVideoByFile(filename);
+        if (videoId && !video) {
+            return res.status(404).json({
+                success: false,
+                message: `Video not found: ${videoId}`
+            });
+        }
         
-        // Determine correct folder based on video status from videos.json
-        let videoFolder = 'downloads'; // default for processed videos
-        let folderName = 'downloads';
+        if (video && BUSY_STATES.includes(video.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Video "${video.name}" is ${video.status}; wait for its job to finish`
+            });
+        }
         
-        // Check videos.json for status to determine correct folder
-        const videosJsonPath = path.join(__dirname, 'videos.json');
-        if (fs.existsSync(videosJsonPath)) {
-            try {
-                const videosData = JSON.parse(fs.readFileSync(videosJsonPath, 'utf8'));
-                const nameWithoutExtension = path.basename(filename, path.extname(filename));
-                const videoData = videosData.videos?.find(v => v.name === nameWithoutExtension);
-                
-                if (videoData && videoData.status === 'downloaded') {
-                    videoFolder = 'uploads';
-                    folderName = 'uploads';
-                }
-            } catch (error) {
-                console.warn('Could not read videos.json, using default folder logic');
-            }
+        console.log(`🔄 API: Reusing video for automation: ${filename}${video ? ` (video ${video.id})` : ''}`);
+        
+        // A failed job for this video resumes on its own draft from the step that failed
+        const { findResumableJob, retryJob, getResumeStep } = require('./jobQueue');
+        const failedJob = findResumableJob(filename, video ? video.id : null);
+        if (failedJob) {
+            retryJob(failedJob.id);
+            const resumeStep = getResumeStep(failedJob);
+            console.log(`♻️ Resuming job ${failedJob.id} for ${filename} at step: ${resumeStep}`);
+            
+            return res.status(202).json({
+                success: true,
+                message: `Automation resumed for "${filename}" at step "${resumeStep}"`,
+                jobId: failedJob.id,
+                resumeStep: resumeStep,
+                statusUrl: `/api/jobs/${failedJob.id}`
+            });
+        }
+        
+        let recipe;
+        try {
+            recipe = require('./recipes').resolveRecipe(req.body.recipe);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        
+        // A video's source file is in uploads; its outputs (and files without a record) are in downloads
+        let videoFolder = 'downloads';
+        let folderName = 'downloads';
+        if (video && video.filename === filename) {
+            videoFolder = 'uploads';
+            folderName = 'uploads';
         }
         
         const targetDir = path.join(__dirname, videoFolder);
@@ -618,20 +481,11 @@ router.post('/videos/reuse', async (req, res) => {
             fs.renameSync(originalVideoPath, newVideoPath);
             console.log(`✅ Video renamed successfully for reuse automation`);
             
-            // Update videos.json with the new filename
-            const videosJsonPath = path.join(__dirname, 'videos.json');
-            if (fs.existsSync(videosJsonPath)) {
+            // Point the video's record at the new filename; its ID and name stay the same
+            if (video) {
                 try {
-                    const videosData = JSON.parse(fs.readFileSync(videosJsonPath, 'utf8'));
-                    const nameWithoutExtension = path.basename(filename, path.extname(filename));
-                    const newNameWithoutExtension = path.basename(newFilename, path.extname(newFilename));
-                    
-                    // Find and update the video entry
-                    const videoIndex = videosData.videos?.findIndex(v => v.name === nameWithoutExtension);
-                    if (videoIndex !== -1) {
-                        videosData.videos[videoIndex].name = newNameWithoutExtension;
-                        fs.writeFileSync(videosJsonPath, JSON.stringify(videosData, null, 2));
-                        console.log(`📝 Updated videos.json: ${nameWithoutExtension} → ${newNameWithoutExtension}`);
+                    if (renameVideoFile(video.id, filename, newFilename)) {
+                        console.log(`📝 Updated videos.json: ${filename} → ${newFilename} (video ${video.id})`);
                     }
                 } catch (jsonError) {
                     console.warn('Could not update videos.json:', jsonError.message);
@@ -645,13 +499,13 @@ router.post('/videos/reuse', async (req, res) => {
             });
         }
         
-        // Import and start automation pipeline with the new copy
-        const { runAutomationPipeline } = require('./timeline_test');
+        // Queue the automation job for the new copy; it starts as soon as an editor is free
+        const { enqueueJob, waitForJob } = require('./jobQueue');
         
-        console.log(`🔄 Starting automation pipeline for: ${newFilename}`);
+        console.log(`🔄 Queueing automation pipeline for: ${newFilename}`);
         
-        // Start automation in background using the new copy
-        runAutomationPipeline(newVideoPath)
+        const job = enqueueJob('reuse', { filePath: newVideoPath, videoId: video ? video.id : null, recipe });
+        waitForJob(job.id)
             .then(() => {
                 console.log(`✅ Reuse automation completed for: ${filename}`);
             })
@@ -659,9 +513,12 @@ router.post('/videos/reuse', async (req, res) => {
                 console.error(`❌ Reuse automation failed for ${filename}:`, error.message);
             });
         
-        res.json({
+        res.status(202).json({
             success: true,
-            message: `Automation started for "${filename}"`
+            message: `Automation queued for "${filename}"`,
+            jobId: job.id,
+            recipe: recipe.id,
+            statusUrl: `/api/jobs/${job.id}`
         });
         
     } catch (error) {
@@ -682,7 +539,6 @@ module.exports = {
     formatDuration,
     deleteVideo,
     getStorageStats,
-    updateVideoStatus,
     // Express router for API routes
     router
 };
@@ -3,6 +3,7 @@ const fs = require('fs');
 require('dotenv').config();
 const YtDlpWrap = require('yt-dlp-wrap').default;
 const ffmpeg = require('@ffmpeg-installer/ffmpeg');
+const { addVideo } = require('./videoLibrary');
 
 const UPLOADS_DIR = path.join(__dirname, 'uploads');
 // Get the yt-dlp binary path from environment variables
@@ -84,7 +85,7 @@ async function downloadYouTubeVideo(url, progressCallback) {
                 })
                 .on('close', () => {
                     console.log(`Download finished: ${outputPath}`);
-                    updateVideosJson(sanitizedTitle, metadata.description, 'downloaded', timestamp, outputFilename);
+                    updateVideosJson(sanitizedTitle, metadata.description, 'downloaded', timestamp, outputFilename, path.basename(infoJsonPath));
                     if (progressCallback) progressCallback({ message: `DOWNLOADED: ${outputPath}`, progress: 100, isComplete: true, finalPath: outputPath });
                     resolve(outputPath);
                 });
@@ -97,37 +98,12 @@ async function downloadYouTubeVideo(url, progressCallback) {
     });
 }
 
-function updateVideosJson(videoName, description, status, timestamp, filename) {
-    const videosJsonPath = path.join(__dirname, 'videos.json');
-    let videosData = { videos: [] };
-
-    if (fs.existsSync(videosJsonPath)) {
-        try {
-            const fileContent = fs.readFileSync(videosJsonPath, 'utf8');
-            if (fileContent) {
-                videosData = JSON.parse(fileContent);
-                if (!Array.isArray(videosData.videos)) {
-                    videosData.videos = [];
-                }
-            }
-        } catch (error) {
-            console.error('Error reading or parsing videos.json:', error);
-            videosData.videos = [];
-        }
-    }
-
-    // Check for duplicates before adding
-    const existingVideo = videosData.videos.find(v => v.filename === filename);
-    if (!existingVideo) {
-        videosData.videos.push({
-            name: videoName,
-            description: description || '',
-            status: status,
-            timestamp: timestamp,
-            filename: filename
-        });
-        fs.writeFileSync(videosJsonPath, JSON.stringify(videosData, null, 2));
-        console.log(`Updated videos.json with new entry: ${videoName}`);
+function updateVideosJson(videoName, description, status, timestamp, filename, infoFile) {
+    try {
+        const video = addVideo({ name: videoName, description, status, filename, infoFile, createdAt: new Date(timestamp).toISOString() });
+        console.log(`Updated videos.json with new entry: ${videoName} (${video.id})`);
+    } catch (error) {
+        console.error('Error updating videos.json:', error);
     }
 }
 
@@ -620,7 +620,6 @@ function downloadWithStandardMethod(url, timestamp, progressCallback, resolve, r
                                         })
                                         .on('close', () => {
                                             console.log(`Download finished: ${outputPath}`);
-                                            updateVideosJson(sanitizedTitle, metadata.description, 'downloaded', timestamp, outputFilename);
                                             if (progressCallback) progressCallback({ message: `DOWNLOADED: ${outputPath}`, progress: 100, isComplete: true, finalPath: outputPath });
                                             resolve(outputPath);
                                         });
@@ -684,52 +683,14 @@ function downloadWithStandardMethod(url, timestamp, progressCallback, resolve, r
     });
 }
 
-/**
- * Update videos.json with new video entry
- */
-function updateVideosJson(videoName, description, status = 'filed') {
-    const videosJsonPath = path.join(__dirname, 'videos.json');
-    let videosData = { videos: [] };
-    
-    // Read existing videos.json if it exists
-    if (fs.existsSync(videosJsonPath)) {
-        try {
-            const fileContent = fs.readFileSync(videosJsonPath, 'utf8');
-            videosData = JSON.parse(fileContent);
-        } catch (error) {
-            console.warn('Failed to read videos.json, creating new one:', error.message);
-            videosData = { videos: [] };
-        }
-    }
-    
-    // Check if video already exists (avoid duplicates)
-    const existingVideo = videosData.videos.find(v => v.name === videoName);
-    if (!existingVideo) {
-        // Add new video entry
-        videosData.videos.push({
-            name: videoName,
-            description: description || '',
-            status: status
-        });
-        
-        // Write back to file
-        try {
-            fs.writeFileSync(videosJsonPath, JSON.stringify(videosData, null, 2));
-            console.log(`✅ Added video to videos.json: ${videoName}`);
-        } catch (error) {
-            console.warn('Failed to update videos.json:', error.message);
-        }
-    } else {
-        console.log(`📝 Video already exists in videos.json: ${videoName}`);
-    }
-}
-
 /**
  * Handle file renaming with video title (shared by both methods)
  */
 function handleFileRenaming(finalFilePath, infoJsonPath, progressCallback, resolve, reject) {
     try {
-        // Try to rename file using video title from info.json
+        let videoPath = finalFilePath;
+        
+        // Try to rename file using video title from info.json (the job adds it to the library)
         if (fs.existsSync(infoJsonPath)) {
             try {
                 const infoData = JSON.parse(fs.readFileSync(infoJsonPath, 'utf8'));
@@ -741,25 +702,20 @@ function handleFileRenaming(finalFilePath, infoJsonPath, progressCallback, resol
                     const newFileName = `${sanitizedTitle}${fileExtension}`;
                     const newFilePath = path.join(UPLOADS_DIR, newFileName);
                     
-                    // Rename the video file
-                    fs.renameSync(finalFilePath, newFilePath);
-                    
-                    // Also rename the .info.json file to match
-                    const newInfoJsonPath = path.join(UPLOADS_DIR, `${sanitizedTitle}.info.json`);
-                    fs.renameSync(infoJsonPath, newInfoJsonPath);
-                    
-                    // Update videos.json with new video entry
-                    const description = infoData.description || '';
-                    updateVideosJson(sanitizedTitle, description, 'downloaded');
-                    
-                    console.log(`✅ File renamed to: ${newFileName}`);
-                    
-                    if (progressCallback) {
-                        progressCallback(`✅ Download completed: ${newFileName}`);
+                    if (fs.existsSync(newFilePath)) {
+                        // Another download has this title; keep the timestamped name instead of replacing it
+                        console.log(`📝 ${newFileName} already exists, keeping ${path.basename(finalFilePath)}`);
+                    } else {
+                        // Rename the video file
+                        fs.renameSync(finalFilePath, newFilePath);
+                        videoPath = newFilePath;
+                        
+                        // Also rename the .info.json file to match
+                        const newInfoJsonPath = path.join(UPLOADS_DIR, `${sanitizedTitle}.info.json`);
+                        fs.renameSync(infoJsonPath, newInfoJsonPath);
+                        
+                        console.log(`✅ File renamed to: ${newFileName}`);
                     }
-                    
-                    resolve(newFilePath);
-                    return;
                 }
             } catch (renameError) {
                 console.warn('Failed to rename file using video title:', renameError.message);
@@ -767,11 +723,10 @@ function handleFileRenaming(finalFilePath, infoJsonPath, progressCallback, resol
             }
         }
         
-        // Fallback: use the original filename if renaming failed
         if (progressCallback) {
-            progressCallback(`✅ Download completed: ${path.basename(finalFilePath)}`);
+            progressCallback(`✅ Download completed: ${path.basename(videoPath)}`);
         }
-        resolve(finalFilePath);
+        resolve(videoPath);
         
     } catch (error) {
         reject(new Error(`Error processing downloaded file: ${error.message}`));